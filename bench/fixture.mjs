@@ -0,0 +1,138 @@
+// Synthetic budget used by the benchmarks: several years of realistic daily
+// activity across on- and off-budget accounts, generated deterministically so
+// runs are comparable.
+
+import api from "@actual-app/api";
+
+const CATEGORY_GROUPS = {
+  Food: ["Groceries", "Dining Out", "Coffee"],
+  Housing: ["Rent", "Utilities", "Internet"],
+  Transport: ["Gas", "Parking", "Transit"],
+  Lifestyle: ["Entertainment", "Subscriptions", "Shopping", "Gifts"],
+  Health: ["Pharmacy", "Doctor"],
+};
+
+// payee, category, typical amount in cents, charges per month
+const SPENDING = [
+  ["Whole Foods", "Groceries", 8500, 4],
+  ["Trader Joe's", "Groceries", 6200, 3],
+  ["Costco", "Groceries", 21000, 1],
+  ["Chipotle", "Dining Out", 1450, 3],
+  ["Thai Palace", "Dining Out", 4200, 2],
+  ["Pizza Place", "Dining Out", 3100, 2],
+  ["Starbucks", "Coffee", 625, 10],
+  ["Blue Bottle", "Coffee", 575, 4],
+  ["Landlord LLC", "Rent", 185000, 1],
+  ["City Power", "Utilities", 9500, 1],
+  ["Water Dept", "Utilities", 4200, 1],
+  ["Comcast", "Internet", 7999, 1],
+  ["Shell", "Gas", 4800, 3],
+  ["Chevron", "Gas", 5200, 2],
+  ["City Parking", "Parking", 1200, 4],
+  ["Metro Transit", "Transit", 275, 8],
+  ["AMC Theaters", "Entertainment", 3200, 1],
+  ["Steam", "Entertainment", 2400, 1],
+  ["Netflix", "Subscriptions", 1549, 1],
+  ["Spotify", "Subscriptions", 1099, 1],
+  ["Amazon", "Shopping", 3800, 4],
+  ["Target", "Shopping", 5600, 2],
+  ["Etsy", "Gifts", 4500, 1],
+  ["CVS", "Pharmacy", 2300, 1],
+  ["Dr. Smith", "Doctor", 4000, 0.3],
+];
+
+// Small seeded PRNG so every run generates the same budget
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Create the fixture budget in the API's data directory and leave it loaded.
+ * Returns the local budget ID and the number of transactions generated.
+ */
+export async function createFixtureBudget({ name = "Benchmark Fixture", years = 8, endYear = 2025 } = {}) {
+  const random = createRandom(42);
+  let transactionCount = 0;
+
+  await api.runImport(name, async () => {
+    const checking = await api.createAccount({ name: "Checking", offbudget: false });
+    const savings = await api.createAccount({ name: "Savings", offbudget: false });
+    const credit = await api.createAccount({ name: "Credit Card", offbudget: false });
+    const brokerage = await api.createAccount({ name: "Brokerage", offbudget: true });
+
+    // Opening balances on the first day of the generated history
+    const firstDay = formatDate(endYear - years + 1, 1, 1);
+    for (const [account, amount] of [[checking, 250000], [savings, 1000000], [brokerage, 5000000]]) {
+      await api.addTransactions(account, [{ date: firstDay, amount, payee_name: "Starting Balance" }]);
+      transactionCount++;
+    }
+
+    const categories = {};
+    for (const [groupName, names] of Object.entries(CATEGORY_GROUPS)) {
+      const groupId = await api.createCategoryGroup({ name: groupName, is_income: false, hidden: false });
+      for (const categoryName of names) {
+        categories[categoryName] = await api.createCategory({ name: categoryName, group_id: groupId, is_income: false, hidden: false });
+      }
+    }
+    const incomeCategory = (await api.getCategories()).find(c => c.is_income);
+
+    for (let year = endYear - years + 1; year <= endYear; year++) {
+      for (let month = 1; month <= 12; month++) {
+        const checkingRows = [];
+        const creditRows = [];
+
+        for (const payday of [1, 15]) {
+          checkingRows.push({
+            date: formatDate(year, month, payday),
+            amount: 320000 + Math.round(random() * 20000),
+            payee_name: "Acme Corp Payroll",
+            category: incomeCategory?.id,
+          });
+        }
+
+        for (const [payee, category, typical, perMonth] of SPENDING) {
+          const count = Math.floor(perMonth) + (random() < perMonth % 1 ? 1 : 0);
+          for (let i = 0; i < count; i++) {
+            const row = {
+              date: formatDate(year, month, 1 + Math.floor(random() * 28)),
+              amount: -Math.round(typical * (0.7 + random() * 0.6)),
+              payee_name: payee,
+              imported_payee: `${payee.toUpperCase()} #${1000 + Math.floor(random() * 9000)}`,
+              category: categories[category],
+              cleared: random() < 0.95,
+            };
+            // Rent and utilities come out of checking, everything else goes on the card
+            (["Rent", "Utilities", "Internet"].includes(category) ? checkingRows : creditRows).push(row);
+          }
+        }
+
+        // A few uncategorized purchases each month
+        for (let i = 0; i < 3; i++) {
+          creditRows.push({
+            date: formatDate(year, month, 1 + Math.floor(random() * 28)),
+            amount: -Math.round(1000 + random() * 9000),
+            payee_name: `Merchant ${Math.floor(random() * 50)}`,
+          });
+        }
+
+        await api.addTransactions(checking, checkingRows);
+        await api.addTransactions(credit, creditRows);
+        await api.addTransactions(savings, [{ date: formatDate(year, month, 28), amount: Math.round(random() * 500), payee_name: "Interest" }]);
+        await api.addTransactions(brokerage, [{ date: formatDate(year, month, 28), amount: Math.round((random() - 0.4) * 200000), payee_name: "Market Change" }]);
+        transactionCount += checkingRows.length + creditRows.length + 2;
+      }
+    }
+  });
+
+  const budgets = await api.getBudgets();
+  const budget = budgets.find(b => b.name === name && b.id);
+  return { budgetId: budget.id, transactionCount };
+}
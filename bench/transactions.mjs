@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+// Compares the old "load every transaction and filter in JS" approach with the
+// AQL queries the server now uses, on a synthetic multi-year budget.
+//
+//   npm run bench               # 8 years of history
+//   BENCH_YEARS=15 npm run bench
+//
+// The fixture budget is generated once into bench/data and reused.
+
+import api from "@actual-app/api";
+import { mkdirSync } from "fs";
+import { fileURLToPath } from "url";
+import { createFixtureBudget } from "./fixture.mjs";
+
+const YEARS = parseInt(process.env.BENCH_YEARS || "8", 10);
+const RUNS = parseInt(process.env.BENCH_RUNS || "5", 10);
+const DATA_DIR = fileURLToPath(new URL(`./data/${YEARS}y`, import.meta.url));
+const FIXTURE_NAME = `Benchmark Fixture ${YEARS}y`;
+
+const { q } = api;
+
+async function runQuery(query) {
+  const { data } = await api.aqlQuery(query);
+  return data;
+}
+
+// Each scenario runs the same question both ways: `legacy` mirrors the
+// previous implementation, `aql` the current one
+function createScenarios({ accountId, transactionId, month }) {
+  const startDate = `${month}-01`;
+  const endDate = `${month}-31`;
+
+  return [
+    {
+      name: "account balances (get_accounts)",
+      legacy: async () => {
+        const accounts = await api.getAccounts();
+        const transactions = await api.getTransactions();
+        return accounts.map(a => transactions.filter(t => t.account === a.id).reduce((sum, t) => sum + t.amount, 0));
+      },
+      aql: () => runQuery(q("transactions").groupBy("account").select(["account", { balance: { $sum: "$amount" } }])),
+    },
+    {
+      name: "transaction by id (get_transaction_by_id)",
+      legacy: async () => (await api.getTransactions()).find(t => t.id === transactionId),
+      aql: () => runQuery(q("transactions").filter({ id: transactionId }).options({ splits: "all" }).select("*")),
+    },
+    {
+      name: "latest 100 in account (get_account_transactions)",
+      legacy: async () => (await api.getTransactions())
+        .filter(t => t.account === accountId && !t.is_child)
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, 100),
+      aql: () => runQuery(q("transactions").filter({ account: accountId }).options({ splits: "none" }).select("*").orderBy({ date: "desc" }).limit(100)),
+    },
+    {
+      name: "one month by category (get_spending_by_category)",
+      legacy: async () => {
+        const totals = {};
+        for (const t of await api.getTransactions()) {
+          if (!t.is_child && t.category && t.date >= startDate && t.date <= endDate) {
+            totals[t.category] = (totals[t.category] || 0) + t.amount;
+          }
+        }
+        return totals;
+      },
+      aql: () => runQuery(
+        q("transactions")
+          .filter({ date: [{ $gte: startDate }, { $lte: endDate }], category: { $ne: null } })
+          .groupBy("category")
+          .select(["category", { amount: { $sum: "$amount" } }])
+      ),
+    },
+    {
+      name: "one month total (get_total_spending)",
+      legacy: async () => (await api.getTransactions())
+        .filter(t => !t.is_child && t.date >= startDate && t.date <= endDate)
+        .reduce((sum, t) => sum + t.amount, 0),
+      aql: () => runQuery(
+        q("transactions")
+          .filter({ date: [{ $gte: startDate }, { $lte: endDate }] })
+          .options({ splits: "none" })
+          .calculate({ $sum: "$amount" })
+      ),
+    },
+  ];
+}
+
+async function measure(fn) {
+  const timings = [];
+  let peakHeap = 0;
+
+  for (let i = 0; i < RUNS; i++) {
+    global.gc?.();
+    const heapBefore = process.memoryUsage().heapUsed;
+    const start = process.hrtime.bigint();
+    await fn();
+    timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+    peakHeap = Math.max(peakHeap, process.memoryUsage().heapUsed - heapBefore);
+  }
+
+  timings.sort((a, b) => a - b);
+  return { median: timings[Math.floor(timings.length / 2)], heap: Math.max(peakHeap, 0) };
+}
+
+async function loadFixture() {
+  mkdirSync(DATA_DIR, { recursive: true });
+  await api.init({ dataDir: DATA_DIR });
+
+  const existing = (await api.getBudgets()).find(b => b.name === FIXTURE_NAME && b.id);
+  if (existing) {
+    await api.loadBudget(existing.id);
+    return;
+  }
+
+  console.log(`Generating ${YEARS}-year fixture budget (first run only)...`);
+  await createFixtureBudget({ name: FIXTURE_NAME, years: YEARS });
+}
+
+async function main() {
+  await loadFixture();
+
+  const [{ count }] = await runQuery(q("transactions").select([{ count: { $count: "$id" } }]));
+  const accountCounts = await runQuery(q("transactions").groupBy("account").select(["account", { count: { $count: "$id" } }]));
+  const account = accountCounts.sort((a, b) => b.count - a.count)[0];
+  const [sample] = await runQuery(q("transactions").select(["id", "date"]).orderBy({ date: "asc" }).limit(1));
+  const [latest] = await runQuery(q("transactions").select(["date"]).orderBy({ date: "desc" }).limit(1));
+
+  const scenarios = createScenarios({
+    accountId: account.account,
+    transactionId: sample.id,
+    month: latest.date.slice(0, 7),
+  });
+
+  console.log(`\n${count} transactions over ${YEARS} years, median of ${RUNS} runs\n`);
+  console.log(`${"scenario".padEnd(50)} ${"legacy".padStart(10)} ${"aql".padStart(10)} ${"speedup".padStart(8)} ${"legacy heap".padStart(12)} ${"aql heap".padStart(10)}`);
+
+  for (const scenario of scenarios) {
+    const legacy = await measure(scenario.legacy);
+    const aql = await measure(scenario.aql);
+    console.log(
+      `${scenario.name.padEnd(50)} ${(legacy.median.toFixed(1) + "ms").padStart(10)} ${(aql.median.toFixed(1) + "ms").padStart(10)} ` +
+      `${((legacy.median / aql.median).toFixed(1) + "x").padStart(8)} ${((legacy.heap / 1048576).toFixed(1) + "MB").padStart(12)} ${((aql.heap / 1048576).toFixed(1) + "MB").padStart(10)}`
+    );
+  }
+
+  await api.shutdown();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
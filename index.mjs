@@ -2,9 +2,12 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
 import api from "@actual-app/api";
 import dotenv from "dotenv";
@@ -20,9 +23,16 @@ const BUDGET_ID = process.env.ACTUAL_BUDGET_ID;
 const SERVER_URL = process.env.ACTUAL_SERVER_URL || "http://localhost:5006";
 const PASSWORD = process.env.ACTUAL_PASSWORD;
 
+// Transport configuration: "stdio" (default) or "http" (Streamable HTTP with SSE fallback)
+const TRANSPORT = (process.env.MCP_TRANSPORT || "stdio").toLowerCase();
+const HTTP_HOST = process.env.MCP_HTTP_HOST || "127.0.0.1";
+const HTTP_PORT = parseInt(process.env.MCP_HTTP_PORT || "3000", 10);
+
 // Ensure data directory exists
 import { mkdirSync } from "fs";
 import { resolve } from "path";
+import { createServer as createHttpServer } from "http";
+import { randomUUID } from "crypto";
 try {
   mkdirSync(DATA_DIR, { recursive: true });
 } catch (e) {
@@ -40,1003 +50,6765 @@ if (!PASSWORD) {
   process.exit(1);
 }
 
+if (TRANSPORT !== "stdio" && TRANSPORT !== "http") {
+  console.error(`Error: MCP_TRANSPORT must be "stdio" or "http" (got "${TRANSPORT}")`);
+  process.exit(1);
+}
+
 // Read-only mode configuration
 const READ_ONLY = process.env.READ_ONLY === "true" || process.env.READ_ONLY === "1";
 
+// API key scopes, from least to most privileged. Each scope includes the ones before it.
+const SCOPES = ["read", "categorize", "write"];
+
+// Tools that change the budget, mapped to the scope required to call them.
+// Tools not listed here only read data and are available to every scope.
+const TOOL_SCOPES = {
+  set_transaction_category: "categorize",
+  set_category_budget: "write",
+  set_category_budget_by_id: "write",
+  update_transaction: "write",
+  create_transaction: "write",
+  create_transactions: "write",
+  delete_transaction: "write",
+  delete_category: "write",
+  create_split_transaction: "write",
+  create_transfer: "write",
+  bulk_update_transactions: "write",
+  create_rule: "write",
+  update_rule: "write",
+  delete_rule: "write",
+  apply_rules: "write",
+  create_schedule: "write",
+  update_schedule: "write",
+  pause_schedule: "write",
+  delete_schedule: "write",
+  move_budget: "write",
+  set_carryover: "write",
+  hold_for_next_month: "write",
+  reset_budget_hold: "write",
+  copy_last_month_budget: "write",
+  set_budget_to_average: "write",
+  create_account: "write",
+  rename_account: "write",
+  close_account: "write",
+  reopen_account: "write",
+  reconcile_account: "write",
+  create_category: "write",
+  update_category: "write",
+  create_category_group: "write",
+  update_category_group: "write",
+  delete_category_group: "write",
+  rename_payee: "write",
+  merge_payees: "write",
+  update_split_transaction: "write",
+};
+
+// API keys for the HTTP transport: comma-separated "name:scope:key" entries
+// e.g. MCP_API_KEYS=laptop:write:s3cret,family-bot:read:an0ther
+const API_KEYS = new Map();
+for (const entry of (process.env.MCP_API_KEYS || "").split(",")) {
+  if (!entry.trim()) continue;
+
+  const [name, scope, ...keyParts] = entry.trim().split(":");
+  const key = keyParts.join(":");
+  if (!name || !key || !SCOPES.includes(scope)) {
+    console.error(`Error: invalid MCP_API_KEYS entry "${name || entry}". Use name:scope:key with scope one of ${SCOPES.join(", ")}`);
+    process.exit(1);
+  }
+  API_KEYS.set(key, { name, scope });
+}
+// Without keys the HTTP transport only starts when open access is asked for explicitly
+const ALLOW_UNAUTHENTICATED = process.env.MCP_ALLOW_UNAUTHENTICATED === "true" || process.env.MCP_ALLOW_UNAUTHENTICATED === "1";
+
 // Robust initialization with race condition prevention
-let initialized = false;
-let initializing = false;
-let initializationError = null;
-
-const server = new Server(
-  {
-    name: "actual-budget-mcp",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
+let apiInit = null;             // in-flight or completed api.init()
+let initializing = null;        // in-flight budget load
+let initializationError = null; // last load failure, reported by /health
+let loadedBudgetId = null;      // budget currently open in the API
+
+// Budget leases: the API can only hold one open budget, so every tool call
+// leases the budget it targets. Calls on the same budget run concurrently; a
+// call for a different budget waits for in-flight calls to finish, then
+// switches. Waiters are served in arrival order so a busy budget cannot
+// starve a switch.
+let leasedBudgetId = null;
+let activeLeases = 0;
+const leaseWaiters = [];
+
+// A downloaded budget has a local ID and a sync ID; both map to one ID here
+// (the sync ID when there is one) so leases and loads see the same budget
+const budgetIdAliases = new Map();
+
+// Each connection gets its own Server instance; they all share the single
+// budget session managed by initBudget() below.
+function createMcpServer() {
+  const server = new Server(
+    {
+      name: "actual-budget-mcp",
+      version: "1.0.0",
     },
-  }
-);
+    {
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
 
-async function initBudget() {
-  // Return early if already initialized
-  if (initialized) return;
-  if (initializationError) throw initializationError;
+  server.setRequestHandler(ListToolsRequestSchema, (_, extra) => listTools(extra));
+  server.setRequestHandler(CallToolRequestSchema, callTool);
 
-  // Wait if initialization is in progress (prevent race conditions)
-  if (initializing) {
-    while (initializing) {
-      await new Promise((resolve) => setTimeout(resolve, 100));
-    }
-    if (initializationError) throw initializationError;
-    return;
-  }
+  return server;
+}
 
-  initializing = true;
-  try {
-    await api.init({
+function initApi() {
+  if (!apiInit) {
+    apiInit = api.init({
       dataDir: DATA_DIR,
       serverURL: SERVER_URL,
       password: PASSWORD,
+    }).catch((error) => {
+      apiInit = null;
+      throw error;
     });
+  }
+  return apiInit;
+}
 
-    try {
-      await api.loadBudget(BUDGET_ID);
-    } catch (loadError) {
-      // Check if it's a migration/sync error
-      const errorStr = loadError.message || loadError.toString() || "";
-      if (errorStr.includes("__migrations__") || errorStr.includes("out-of-sync") || errorStr.includes("sync")) {
-        console.log("Database sync issue detected:", errorStr);
-        console.log("This may be recoverable on next tool call");
-        // Don't throw immediately - let the tool call handle it
-        throw loadError;
-      } else {
-        throw loadError;
-      }
+// Open a budget by local ID or sync ID, downloading it first if it only exists on the server
+async function openBudget(budgetId) {
+  await initApi();
+
+  const budgets = await api.getBudgets();
+  const local = budgets.find(b => b.id === budgetId) ||
+    budgets.find(b => b.id && b.groupId === budgetId);
+
+  try {
+    if (local) {
+      await api.loadBudget(local.id);
+    } else if (budgets.some(b => b.groupId === budgetId)) {
+      await api.downloadBudget(budgetId);
+    } else {
+      throw new Error(`Budget "${budgetId}" not found. Use list_budgets to see available budgets.`);
     }
+  } catch (loadError) {
+    // Check if it's a migration/sync error
+    const errorStr = loadError.message || loadError.toString() || "";
+    if (errorStr.includes("__migrations__") || errorStr.includes("out-of-sync") || errorStr.includes("sync")) {
+      console.error("Database sync issue detected:", errorStr);
+      console.error("This may be recoverable on next tool call");
+    }
+    loadedBudgetId = null;
+    throw loadError;
+  }
 
-    initialized = true;
-  } catch (error) {
-    initializationError = error instanceof Error ? error : new Error(String(error));
-    throw initializationError;
-  } finally {
-    initializing = false;
+  loadedBudgetId = budgetId;
+}
+
+// Make sure the budget leased by the current call (or the default budget) is open
+async function initBudget() {
+  const budgetId = leasedBudgetId || BUDGET_ID;
+
+  while (loadedBudgetId !== budgetId) {
+    if (!initializing) {
+      initializing = openBudget(budgetId)
+        .then(() => {
+          initializationError = null;
+        })
+        .catch((error) => {
+          initializationError = error instanceof Error ? error : new Error(String(error));
+          throw initializationError;
+        })
+        .finally(() => {
+          initializing = null;
+        });
+    }
+    await initializing;
   }
 }
 
-async function shutdownBudget() {
-  if (initialized) {
-    await api.shutdown();
-    initialized = false;
-    initializing = false;
-    initializationError = null;
+async function normalizeBudgetId(budgetId) {
+  if (!budgetIdAliases.has(budgetId)) {
+    await initApi();
+    for (const b of await api.getBudgets()) {
+      const canonicalId = b.groupId || b.id;
+      if (b.id) budgetIdAliases.set(b.id, canonicalId);
+      if (b.groupId) budgetIdAliases.set(b.groupId, canonicalId);
+    }
   }
+  return budgetIdAliases.get(budgetId) || budgetId;
 }
 
-// Raw data access tools
+async function acquireBudget(budgetId) {
+  const normalizedId = await normalizeBudgetId(budgetId);
+  await new Promise((resolve) => {
+    leaseWaiters.push({ budgetId: normalizedId, resolve });
+    grantBudgetLeases();
+  });
+}
 
-async function getAccounts() {
-  await initBudget();
-  const accounts = await api.getAccounts();
-  const transactions = await api.getTransactions();
+function grantBudgetLeases() {
+  while (leaseWaiters.length > 0) {
+    const next = leaseWaiters[0];
+    if (activeLeases > 0 && next.budgetId !== leasedBudgetId) return;
 
-  return accounts.map(a => {
-    const accountTransactionCount = transactions.filter(t => t.account === a.id && !t.is_child).length;
+    leaseWaiters.shift();
+    leasedBudgetId = next.budgetId;
+    activeLeases++;
+    next.resolve();
+  }
+}
 
-    // Calculate balance from transactions
-    const accountTransactions = transactions.filter(t => t.account === a.id);
-    const balance = accountTransactions.reduce((sum, t) => sum + t.amount, 0) / 100;
+function releaseBudget() {
+  activeLeases--;
+  grantBudgetLeases();
+}
 
-    return {
-      id: a.id,
-      name: a.name,
-      closed: a.closed || false,
-      offBudget: a.offbudget || false,
-      balance: balance,
-      transactionCount: accountTransactionCount,
-    };
-  });
+async function shutdownBudget() {
+  if (apiInit) {
+    await api.shutdown();
+    apiInit = null;
+    initializing = null;
+    initializationError = null;
+    loadedBudgetId = null;
+  }
 }
 
-async function getCategories() {
-  await initBudget();
-  const categories = await api.getCategories();
-  return categories.map(c => ({
-    id: c.id,
-    name: c.name,
-    isHidden: c.hidden || false,
-    isIncome: c.is_income || false,
-    groupId: c.group_id || null,
+async function listBudgets() {
+  await initApi();
+  const budgets = await api.getBudgets();
+
+  // A downloaded budget is listed both as a local file and as a remote file
+  // sharing the same sync ID (groupId); merge them into one entry
+  const merged = new Map();
+  for (const b of budgets) {
+    const key = b.groupId || b.id;
+    const entry = merged.get(key) || {
+      id: null,
+      syncId: b.groupId || null,
+      name: b.name,
+      downloaded: false,
+    };
+    if (b.id) {
+      entry.id = b.id;
+      entry.name = b.name;
+      entry.downloaded = true;
+    }
+    merged.set(key, entry);
+  }
+
+  return [...merged.values()].map(b => ({
+    ...b,
+    budgetId: b.id || b.syncId,
+    loaded: loadedBudgetId !== null && (loadedBudgetId === b.id || loadedBudgetId === b.syncId),
+    isDefault: BUDGET_ID === b.id || BUDGET_ID === b.syncId,
   }));
 }
 
-async function getCategoryById(categoryId) {
-  await initBudget();
-  const categories = await api.getCategories();
-  const category = categories.find(c => c.id === categoryId);
-  if (!category) return null;
-
-  // Get budget data from current month
-  const currentMonth = new Date();
-  const monthStr = currentMonth.getFullYear() + "-" + String(currentMonth.getMonth() + 1).padStart(2, "0");
-  const budgetMonth = await api.getBudgetMonth(monthStr);
+// Authentication and scopes
 
-  // Find category in budget data
-  let categoryBudgetData = null;
-  for (const group of budgetMonth.categoryGroups || []) {
-    const found = group.categories?.find(c => c.id === categoryId);
-    if (found) {
-      categoryBudgetData = found;
-      break;
-    }
-  }
+function authenticateRequest(req) {
+  const header = req.headers["authorization"] || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : req.headers["x-api-key"];
+  const apiKey = token ? API_KEYS.get(token) : undefined;
+  if (!apiKey) return null;
 
   return {
-    id: category.id,
-    name: category.name,
-    budgeted: categoryBudgetData?.budgeted ? categoryBudgetData.budgeted / 100 : 0,
-    spent: categoryBudgetData?.spent ? Math.abs(categoryBudgetData.spent) / 100 : 0,
-    balance: categoryBudgetData?.balance ? categoryBudgetData.balance / 100 : 0,
-    isHidden: category.hidden || false,
-    isIncome: category.is_income || false,
-    groupId: category.group_id || null,
+    token,
+    clientId: apiKey.name,
+    scopes: [apiKey.scope],
   };
 }
 
-async function getTransactions(filters = {}) {
-  await initBudget();
-
-  let transactions = await api.getTransactions();
-
-  // Filter by category
-  if (filters.category) {
-    transactions = transactions.filter(t => t.category === filters.category);
-  }
+// authInfo is only set by the HTTP transport; stdio clients have full access
+function hasToolScope(authInfo, toolName) {
+  if (!authInfo) return true;
 
-  // Filter by account
-  if (filters.account) {
-    transactions = transactions.filter(t => t.account === filters.account);
-  }
+  const required = TOOL_SCOPES[toolName] || "read";
+  return SCOPES.indexOf(authInfo.scopes[0]) >= SCOPES.indexOf(required);
+}
 
-  // Filter by date range
-  if (filters.startDate) {
-    transactions = transactions.filter(t => t.date >= filters.startDate);
-  }
-  if (filters.endDate) {
-    transactions = transactions.filter(t => t.date <= filters.endDate);
-  }
+// Raw data access tools
 
-  // Filter by payee
-  if (filters.payee) {
-    const payeeLower = filters.payee.toLowerCase();
-    transactions = transactions.filter(t =>
-      (t.imported_payee || "").toLowerCase().includes(payeeLower)
-    );
-  }
+// Lookup maps used to resolve the IDs on transactions to names
+async function getNameLookups() {
+  const payees = await api.getPayees();
+  const categories = await api.getCategories();
+  const categoryGroups = await api.getCategoryGroups();
+  const accounts = await api.getAccounts();
 
-  // Filter out child transactions (splits)
-  if (filters.excludeChild !== false) {
-    transactions = transactions.filter(t => !t.is_child);
-  }
+  return {
+    payees: new Map(payees.map(p => [p.id, p])),
+    categories: new Map(categories.map(c => [c.id, c])),
+    categoryGroups: new Map(categoryGroups.map(g => [g.id, g])),
+    accounts: new Map(accounts.map(a => [a.id, a])),
+  };
+}
 
-  // Limit results
-  const limit = filters.limit || 100;
-  transactions = transactions.slice(0, limit);
+function getPayeeName(t, lookups) {
+  return lookups.payees.get(t.payee)?.name || t.imported_payee || "Unknown";
+}
 
-  // Sort by date descending
-  transactions.sort((a, b) => new Date(b.date) - new Date(a.date));
+function formatTransaction(t, lookups) {
+  const category = lookups.categories.get(t.category);
+  const group = category ? lookups.categoryGroups.get(category.group_id) : undefined;
+  // Transfers are paid to the other account's transfer payee
+  const transferAccount = lookups.payees.get(t.payee)?.transfer_acct || null;
 
-  return transactions.map(t => ({
+  return {
     id: t.id,
     date: t.date,
     account: t.account,
-    payee: t.imported_payee || "Unknown",
-    category: t.category,
+    accountName: lookups.accounts.get(t.account)?.name || null,
+    payee: getPayeeName(t, lookups),
+    payeeId: t.payee || null,
+    importedPayee: t.imported_payee || null,
+    category: t.category || null,
+    categoryName: category?.name || null,
+    categoryGroupId: category?.group_id || null,
+    categoryGroupName: group?.name || null,
     amount: t.amount / 100,
     notes: t.notes || "",
-    isTransfer: t.isTransfer || false,
-  }));
+    isTransfer: transferAccount !== null,
+    transferAccount,
+    transferAccountName: transferAccount ? lookups.accounts.get(transferAccount)?.name || null : null,
+    transferId: t.transfer_id || null,
+    isSplit: t.is_parent || false,
+    parentId: t.parent_id || null,
+    ...(t.subtransactions ? {
+      subtransactions: t.subtransactions.map(child => formatTransaction(child, lookups)),
+    } : {}),
+  };
 }
 
-async function getTransactionById(transactionId) {
-  await initBudget();
-  const transactions = await api.getTransactions();
-  const transaction = transactions.find(t => t.id === transactionId);
+// Transactions are read through AQL queries so filtering, sorting, paging and
+// aggregation run inside the budget's SQLite database instead of loading the
+// whole transaction history into memory on every call.
+const { q } = api;
 
-  if (!transaction) return null;
+async function runQuery(query) {
+  const { data } = await api.aqlQuery(query);
+  return data;
+}
 
-  return {
-    id: transaction.id,
-    date: transaction.date,
-    account: transaction.account,
-    payee: transaction.imported_payee || "Unknown",
-    category: transaction.category,
-    amount: transaction.amount / 100,
-    notes: transaction.notes || "",
-    isTransfer: transaction.isTransfer || false,
-  };
+// AQL filter for an optional inclusive date range
+function dateRangeFilter(startDate, endDate) {
+  const conditions = [];
+  if (startDate) conditions.push({ $gte: startDate });
+  if (endDate) conditions.push({ $lte: endDate });
+  return conditions.length > 0 ? { date: conditions } : {};
 }
 
-async function getBudgetTotals() {
-  await initBudget();
+// Months are "YYYY-MM" strings throughout, matching Actual's budget API
 
-  const currentMonth = new Date();
-  const monthStr = currentMonth.getFullYear() + "-" + String(currentMonth.getMonth() + 1).padStart(2, "0");
-  const budgetMonth = await api.getBudgetMonth(monthStr);
+function getCurrentMonth() {
+  const now = new Date();
+  return now.getFullYear() + "-" + String(now.getMonth() + 1).padStart(2, "0");
+}
 
-  // Get account balances
-  const accounts = await api.getAccounts();
-  let totalBalance = 0;
+function validateMonth(month) {
+  if (typeof month !== "string" || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    throw new Error(`Invalid month format. Use YYYY-MM (e.g., 2026-02)`);
+  }
+  return month;
+}
 
-  for (const account of accounts) {
-    if (!account.offbudget) {
-      const balance = await api.getAccountBalance(account.id);
-      totalBalance += balance;
-    }
+function validateDate(date, name = "date") {
+  // Round-trip through Date so impossible days like 2026-02-30 are refused
+  if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+      new Date(date + "T00:00:00Z").toJSON()?.slice(0, 10) !== date) {
+    throw new Error(`Invalid ${name} "${date}". Use YYYY-MM-DD`);
   }
+  return date;
+}
 
-  return {
-    totalBudgeted: budgetMonth.totalBudgeted / 100,
-    totalSpent: Math.abs(budgetMonth.totalSpent) / 100,
-    totalIncome: budgetMonth.totalIncome / 100,
-    remaining: (budgetMonth.totalBudgeted + budgetMonth.totalSpent) / 100,
-    totalBalance: totalBalance / 100,
-    month: monthStr,
-  };
+function addMonths(month, count) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const date = new Date(year, monthIndex - 1 + count, 1);
+  return date.getFullYear() + "-" + String(date.getMonth() + 1).padStart(2, "0");
 }
 
-async function getSpendingByCategory(filters = {}) {
-  await initBudget();
+// Inclusive list of months from start to end
+function monthRange(startMonth, endMonth) {
+  const months = [];
+  for (let month = startMonth; month <= endMonth; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  return months;
+}
 
-  const currentMonth = new Date();
-  const monthStr = currentMonth.getFullYear() + "-" + String(currentMonth.getMonth() + 1).padStart(2, "0");
-  const budgetMonth = await api.getBudgetMonth(monthStr);
+// Look up a single transaction, including split parents and children
+async function findTransaction(transactionId) {
+  const [transaction] = await runQuery(
+    q("transactions")
+      .filter({ id: transactionId })
+      .options({ splits: "all" })
+      .select("*")
+  );
+  return transaction || null;
+}
 
-  // Build a map of category budget data
-  const categoryBudgetMap = {};
-  for (const group of budgetMonth.categoryGroups || []) {
-    for (const category of group.categories || []) {
-      categoryBudgetMap[category.id] = {
-        name: category.name,
-        budgeted: category.budgeted,
-        hidden: category.hidden,
-      };
-    }
+const TRANSACTION_SORT_KEYS = ["date", "amount", "payee"];
+
+function getPageOptions(options) {
+  const sortBy = options.sortBy || "date";
+  const sortOrder = options.sortOrder || "desc";
+  const limit = options.limit ?? 100;
+  const offset = options.offset ?? 0;
+
+  if (!TRANSACTION_SORT_KEYS.includes(sortBy)) {
+    throw new Error(`Invalid sortBy "${sortBy}". Use one of: ${TRANSACTION_SORT_KEYS.join(", ")}`);
+  }
+  if (sortOrder !== "asc" && sortOrder !== "desc") {
+    throw new Error(`Invalid sortOrder "${sortOrder}". Use "asc" or "desc"`);
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error("limit must be a positive integer");
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error("offset must be a non-negative integer");
   }
 
-  const spending = [];
-  const transactions = await api.getTransactions();
+  return { sortBy, sortOrder, limit, offset };
+}
 
-  // Get all unique categories from transactions
-  const categoryIds = new Set(
-    transactions.filter(t => !t.is_child && t.category).map(t => t.category)
+// Sort the full filtered set, then cut out the requested page, so "latest 100"
+// really means the 100 most recent. Ties fall back to date (then ID, which AQL
+// always appends) for stable paging. `splits` is the AQL splits option: "none"
+// returns top-level transactions only, "all" includes split children too,
+// "inline" returns split lines in place of their parents. `includeSplits`
+// switches to "grouped", nesting each split's lines under its parent.
+async function queryTransactionPage(filter, options = {}, splits = "none") {
+  const { sortBy, sortOrder, limit, offset } = getPageOptions(options);
+  if (options.includeSplits) splits = "grouped";
+  const base = q("transactions").filter(filter).options({ splits });
+
+  const sortExpr = {
+    date: { date: sortOrder },
+    amount: { amount: sortOrder },
+    payee: { $nocase: "$payee.name", $dir: sortOrder },
+  }[sortBy];
+
+  // Grouped results are paged by top-level transaction, so count those
+  const total = await runQuery(
+    q("transactions")
+      .filter(filter)
+      .options({ splits: splits === "grouped" ? "none" : splits })
+      .calculate({ $count: "$id" })
   );
+  const rows = await runQuery(
+    base
+      .select("*")
+      .orderBy([sortExpr, { date: sortOrder }])
+      .limit(limit)
+      .offset(offset)
+  );
+  const lookups = await getNameLookups();
+  const nextOffset = offset + rows.length;
 
-  for (const categoryId of categoryIds) {
-    const budgetData = categoryBudgetMap[categoryId];
-    if (!budgetData || budgetData.hidden) continue;
-
-    // Get spending for this category
-    let categoryTransactions = transactions.filter(t =>
-      t.category === categoryId && !t.is_child
-    );
+  return {
+    total,
+    offset,
+    limit,
+    hasMore: nextOffset < total,
+    nextOffset: nextOffset < total ? nextOffset : null,
+    transactions: rows.map(t => formatTransaction(t, lookups)),
+  };
+}
 
-    // Apply date filters if provided
-    if (filters.startDate) {
-      categoryTransactions = categoryTransactions.filter(t => t.date >= filters.startDate);
-    }
-    if (filters.endDate) {
-      categoryTransactions = categoryTransactions.filter(t => t.date <= filters.endDate);
-    }
+async function getAccounts() {
+  await initBudget();
+  const accounts = await api.getAccounts();
 
-    // Calculate actual spent from transactions instead of using budget data
-    const actualSpent = Math.abs(
-      categoryTransactions.reduce((sum, t) => sum + t.amount, 0) / 100
-    );
-    const budgeted = budgetData.budgeted / 100;
-    const balance = budgeted - actualSpent;
+  // Cleared balances include split children (not parents) so amounts are
+  // counted once; counts are of top-level transactions
+  const cleared = await runQuery(
+    q("transactions")
+      .filter({ cleared: true })
+      .groupBy("account")
+      .select(["account", { balance: { $sum: "$amount" } }])
+  );
+  const counts = await runQuery(
+    q("transactions")
+      .options({ splits: "none" })
+      .groupBy("account")
+      .select(["account", { count: { $count: "$id" } }])
+  );
+  const clearedMap = new Map(cleared.map(r => [r.account, r.balance]));
+  const countMap = new Map(counts.map(r => [r.account, r.count]));
 
-    spending.push({
-      id: categoryId,
-      name: budgetData.name || "Unknown",
-      budgeted: budgeted,
-      spent: actualSpent,
-      balance: balance,
-      remaining: balance,
-      transactionCount: categoryTransactions.length,
+  const result = [];
+  for (const a of accounts) {
+    result.push({
+      id: a.id,
+      name: a.name,
+      closed: a.closed || false,
+      offBudget: a.offbudget || false,
+      // Balance as of today, as Actual shows it; future-dated transactions are left out
+      balance: (await api.getAccountBalance(a.id)) / 100,
+      clearedBalance: (clearedMap.get(a.id) || 0) / 100,
+      transactionCount: countMap.get(a.id) || 0,
     });
   }
-
-  return spending.sort((a, b) => b.spent - a.spent);
+  return result;
 }
 
-// Mutation tools
-
-async function setCategoryBudget(categoryName, month, amount) {
-  await initBudget();
+// Account management
 
-  const categories = await api.getCategories();
-  const category = categories.find(c => c.name.toLowerCase() === categoryName.toLowerCase());
+const RECONCILE_UNCLEARED_ROWS = 50;
 
-  if (!category) {
-    throw new Error(`Category "${categoryName}" not found`);
+function checkAccountName(accounts, name, exceptId) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) {
+    throw new Error("Account name can't be empty");
+  }
+  const existing = accounts.find(a => a.id !== exceptId && a.name.toLowerCase() === trimmed.toLowerCase());
+  if (existing) {
+    throw new Error(`An account named "${existing.name}" already exists`);
   }
+  return trimmed;
+}
 
-  // Validate month format YYYY-MM
-  if (!/^\d{4}-\d{2}$/.test(month)) {
-    throw new Error(`Invalid month format. Use YYYY-MM (e.g., 2026-02)`);
+// Sum of every transaction in an account, future-dated ones included. This
+// is what has to be moved out before the account can be closed.
+async function getFullAccountBalance(accountId) {
+  const { data } = await api.aqlQuery(
+    q("transactions")
+      .filter({ account: accountId })
+      .calculate({ $sum: "$amount" })
+  );
+  return data || 0;
+}
+
+async function createAccount({ name, offBudget = false, startingBalance = 0 }) {
+  await initBudget();
+
+  const accountName = checkAccountName(await api.getAccounts(), name);
+  if (typeof startingBalance !== "number" || !Number.isFinite(startingBalance)) {
+    throw new Error("startingBalance must be a number");
   }
 
-  await api.setBudgetAmount(month, category.id, Math.round(amount * 100));
+  const id = await api.createAccount(
+    { name: accountName, offbudget: Boolean(offBudget) },
+    Math.round(startingBalance * 100)
+  );
   await api.sync();
 
   return {
     success: true,
-    category: category.name,
-    month: month,
-    newBudget: amount,
+    accountId: id,
+    name: accountName,
+    offBudget: Boolean(offBudget),
+    balance: (await api.getAccountBalance(id)) / 100,
   };
 }
 
-async function setCategoryBudgetById(categoryId, month, amount) {
+async function renameAccount(accountNameOrId, name) {
   await initBudget();
 
-  const categories = await api.getCategories();
-  const category = categories.find(c => c.id === categoryId);
-
-  if (!category) {
-    throw new Error(`Category with ID "${categoryId}" not found`);
-  }
-
-  // Validate month format YYYY-MM
-  if (!/^\d{4}-\d{2}$/.test(month)) {
-    throw new Error(`Invalid month format. Use YYYY-MM (e.g., 2026-02)`);
-  }
+  const accounts = await api.getAccounts();
+  const account = findAccount(accounts, accountNameOrId);
+  const accountName = checkAccountName(accounts, name, account.id);
 
-  await api.setBudgetAmount(month, categoryId, Math.round(amount * 100));
+  await api.updateAccount(account.id, { name: accountName });
   await api.sync();
 
   return {
     success: true,
-    category: category.name,
-    month: month,
-    newBudget: amount,
+    accountId: account.id,
+    oldName: account.name,
+    name: accountName,
   };
 }
 
-async function updateTransaction(transactionId, updates) {
+// Close an account. A remaining balance has to go somewhere, so it is moved
+// to transferTo as a transfer; moving it between on- and off-budget accounts
+// also needs a category, as any such transfer does.
+async function closeAccount({ account: accountNameOrId, transferTo, transferCategory }) {
   await initBudget();
 
-  const transactions = await api.getTransactions();
-  const transaction = transactions.find(t => t.id === transactionId);
-
-  if (!transaction) {
-    throw new Error(`Transaction with ID "${transactionId}" not found`);
+  const accounts = await api.getAccounts();
+  const account = findAccount(accounts, accountNameOrId);
+  if (account.closed) {
+    throw new Error(`Account "${account.name}" is already closed`);
   }
 
-  // Build payload - filter out undefined values, pass field names as-is
-  const payload = {};
-  if (updates.payee !== undefined) payload.payee = updates.payee;
-  if (updates.category !== undefined) payload.category = updates.category;
-  if (updates.amount !== undefined) payload.amount = Math.round(updates.amount * 100);
-  if (updates.date !== undefined) payload.date = updates.date;
-  if (updates.notes !== undefined) payload.notes = updates.notes;
+  const balance = await getFullAccountBalance(account.id);
+  const { data: transactionCount } = await api.aqlQuery(
+    q("transactions").filter({ account: account.id }).calculate({ $count: "$id" })
+  );
+  let target = null;
+  let category = null;
 
-  // Only update if there are actual changes
-  if (Object.keys(payload).length === 0) {
-    throw new Error(`No valid fields provided to update`);
+  if (balance !== 0) {
+    if (transferTo === undefined) {
+      throw new Error(`Account "${account.name}" has a balance of ${balance / 100}. Pass transferTo to move it to another account`);
+    }
+    target = findAccount(accounts, transferTo);
+    if (target.id === account.id) {
+      throw new Error("transferTo must be a different account");
+    }
+    if (target.closed) {
+      throw new Error(`Account "${target.name}" is closed`);
+    }
+    if (Boolean(target.offbudget) !== Boolean(account.offbudget)) {
+      if (transferCategory === undefined) {
+        throw new Error("Moving a balance between on-budget and off-budget accounts needs transferCategory");
+      }
+      category = findCategory(await api.getCategories(), transferCategory);
+    }
   }
 
-  await api.batchBudgetUpdates(async () => {
-    await api.updateTransaction(transactionId, payload);
-  });
+  await api.closeAccount(account.id, target?.id, category?.id);
+  await api.sync();
 
   return {
     success: true,
-    transactionId,
-    updatedFields: Object.keys(payload),
+    accountId: account.id,
+    name: account.name,
+    ...(target ? {
+      transferred: balance / 100,
+      transferredTo: target.name,
+      ...(category ? { transferCategory: category.name } : {}),
+    } : {}),
+    // Actual deletes an account that never had transactions instead of closing it
+    ...(transactionCount === 0 ? { deleted: true } : {}),
+    message: transactionCount === 0 ?
+      `Account "${account.name}" had no transactions and was deleted` :
+      `Account "${account.name}" closed`,
   };
 }
 
-async function setTransactionCategory(transactionId, categoryNameOrId) {
+async function reopenAccount(accountNameOrId) {
   await initBudget();
 
-  const transactions = await api.getTransactions();
-  const transaction = transactions.find(t => t.id === transactionId);
-
-  if (!transaction) {
-    throw new Error(`Transaction with ID "${transactionId}" not found`);
+  const account = findAccount(await api.getAccounts(), accountNameOrId);
+  if (!account.closed) {
+    throw new Error(`Account "${account.name}" is not closed`);
   }
 
-  // Find category by name or ID
-  const categories = await api.getCategories();
-  let category = categories.find(c => c.id === categoryNameOrId);
+  await api.reopenAccount(account.id);
+  await api.sync();
 
-  if (!category) {
-    category = categories.find(c =>
-      c.name.toLowerCase() === categoryNameOrId.toLowerCase()
-    );
+  return {
+    success: true,
+    accountId: account.id,
+    name: account.name,
+    message: `Account "${account.name}" reopened`,
+  };
+}
+
+// Compare an account's cleared balance on a statement date with the
+// statement. When they match, markReconciled locks every cleared transaction
+// up to that date as reconciled, like finishing a reconciliation in Actual.
+async function reconcileAccount({ account: accountNameOrId, statementBalance, statementDate, markReconciled = false }) {
+  await initBudget();
+
+  const account = findAccount(await api.getAccounts(), accountNameOrId);
+  validateDate(statementDate, "statementDate");
+  if (typeof statementBalance !== "number" || !Number.isFinite(statementBalance)) {
+    throw new Error("statementBalance must be a number");
   }
 
-  if (!category) {
-    throw new Error(`Category "${categoryNameOrId}" not found`);
+  const upToStatement = [{ account: account.id }, { date: { $lte: statementDate } }];
+  const { data: cleared } = await api.aqlQuery(
+    q("transactions")
+      .filter({ $and: [...upToStatement, { cleared: true }] })
+      .calculate({ $sum: "$amount" })
+  );
+  const clearedBalance = cleared || 0;
+  const difference = Math.round(statementBalance * 100) - clearedBalance;
+
+  // Uncleared transactions are the usual reason a statement doesn't match
+  const uncleared = await runQuery(
+    q("transactions")
+      .filter({ $and: [...upToStatement, { cleared: false }] })
+      .options({ splits: "none" })
+      .select("*")
+      .orderBy([{ date: "desc" }])
+  );
+  const lookups = await getNameLookups();
+
+  const result = {
+    accountId: account.id,
+    accountName: account.name,
+    statementDate,
+    statementBalance,
+    clearedBalance: clearedBalance / 100,
+    difference: difference / 100,
+    balanced: difference === 0,
+    unclearedCount: uncleared.length,
+    unclearedTotal: uncleared.reduce((sum, t) => sum + t.amount, 0) / 100,
+    uncleared: uncleared.slice(0, RECONCILE_UNCLEARED_ROWS).map(t => formatTransaction(t, lookups)),
+  };
+
+  if (!markReconciled) {
+    return {
+      ...result,
+      reconciled: 0,
+      message: difference === 0 ?
+        "The cleared balance matches the statement. Call again with markReconciled: true to lock these transactions" :
+        "The cleared balance doesn't match the statement. Check the uncleared transactions and for missing ones",
+    };
+  }
+  if (difference !== 0) {
+    throw new Error(`The cleared balance is off from the statement by ${difference / 100}; nothing was reconciled`);
   }
 
-  await api.updateTransaction(transactionId, { category: category.id });
+  const toReconcile = await runQuery(
+    q("transactions")
+      .filter({ $and: [...upToStatement, { cleared: true }, { reconciled: false }] })
+      .options({ splits: "all" })
+      .select(["id"])
+  );
+  await api.batchBudgetUpdates(async () => {
+    for (const t of toReconcile) {
+      await api.updateTransaction(t.id, { reconciled: true });
+    }
+  });
+  await api.updateAccount(account.id, { last_reconciled: String(Date.now()) });
   await api.sync();
 
   return {
-    success: true,
-    transactionId,
-    category: category.name,
+    ...result,
+    reconciled: toReconcile.length,
+    message: `Reconciled ${toReconcile.length} transactions through ${statementDate}`,
   };
 }
 
-async function getPayees() {
-  await initBudget();
-  const payees = await api.getPayees();
-  return payees.map(p => ({
-    id: p.id,
-    name: p.name,
-  }));
+// Schedules
+
+const SCHEDULE_FREQUENCIES = ["once", "daily", "weekly", "monthly", "yearly"];
+const SCHEDULE_AMOUNT_OPS = ["is", "isapprox"];
+const MAX_PROJECTION_DAYS = 366;
+
+function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(endDate) - Date.parse(startDate)) / 86400000);
 }
 
-async function createTransaction(transaction) {
-  await initBudget();
+function findSchedule(schedules, nameOrId) {
+  const schedule = schedules.find(s => s.id === nameOrId) ||
+    schedules.find(s => s.name && s.name.toLowerCase() === String(nameOrId).toLowerCase());
+  if (!schedule) {
+    throw new Error(`Schedule "${nameOrId}" not found`);
+  }
+  return schedule;
+}
 
-  const payload = {
-    account: transaction.account,
-    payee: transaction.payee,
-    amount: Math.round(transaction.amount * 100),
-    date: transaction.date,
+// A schedule's amount in cents; "isbetween" amounts are a {num1, num2} range
+// and count as their midpoint
+function scheduleAmount(schedule) {
+  const amount = schedule.amount;
+  if (amount && typeof amount === "object") {
+    return Math.round((amount.num1 + amount.num2) / 2);
+  }
+  return amount || 0;
+}
+
+function describeRecurrence(date) {
+  if (typeof date === "string") return `Once on ${date}`;
+
+  const units = { daily: "day", weekly: "week", monthly: "month", yearly: "year" };
+  const interval = date.interval || 1;
+  let text = `Every ${interval > 1 ? `${interval} ${units[date.frequency]}s` : units[date.frequency]} from ${date.start}`;
+  if (date.endMode === "on_date") text += ` until ${date.endDate}`;
+  if (date.endMode === "after_n_occurrences") text += `, ${date.endOccurrences} times`;
+  return text;
+}
+
+// The category a schedule's rule sets on the transactions it matches, if any
+async function getScheduleCategories() {
+  const categories = new Map();
+  for (const rule of await api.getRules()) {
+    const link = rule.actions.find(a => a.op === "link-schedule");
+    const category = rule.actions.find(a => a.op === "set" && a.field === "category");
+    if (link && category) categories.set(link.value, category.value);
+  }
+  return categories;
+}
+
+function formatSchedule(schedule, lookups, scheduleCategories, today) {
+  const categoryId = scheduleCategories.get(schedule.id) || null;
+  const amount = schedule.amount;
+  return {
+    id: schedule.id,
+    name: schedule.name || null,
+    payee: lookups.payees.get(schedule.payee)?.name || null,
+    payeeId: schedule.payee || null,
+    account: lookups.accounts.get(schedule.account)?.name || null,
+    accountId: schedule.account || null,
+    category: categoryId ? lookups.categories.get(categoryId)?.name || null : null,
+    categoryId,
+    amount: scheduleAmount(schedule) / 100,
+    amountOp: schedule.amountOp,
+    ...(amount && typeof amount === "object" ? { amountRange: { min: amount.num1 / 100, max: amount.num2 / 100 } } : {}),
+    recurrence: describeRecurrence(schedule.date),
+    nextDate: schedule.completed ? null : schedule.next_date || null,
+    // Due before today and not yet entered
+    overdue: !schedule.completed && Boolean(schedule.next_date) && schedule.next_date < today,
+    paused: Boolean(schedule.completed),
+    postsTransaction: Boolean(schedule.posts_transaction),
   };
+}
 
-  if (transaction.category) {
-    // Find category
-    const categories = await api.getCategories();
-    let category = categories.find(c => c.id === transaction.category);
-    if (!category) {
-      category = categories.find(c =>
-        c.name.toLowerCase() === transaction.category.toLowerCase()
-      );
-    }
-    if (category) {
-      payload.category = category.id;
+async function getSchedules(options = {}) {
+  await initBudget();
+
+  const { includePaused = false } = options;
+  const lookups = await getNameLookups();
+  const scheduleCategories = await getScheduleCategories();
+  const today = getToday();
+
+  return (await api.getSchedules())
+    .filter(schedule => includePaused || !schedule.completed)
+    .map(schedule => formatSchedule(schedule, lookups, scheduleCategories, today))
+    .sort((a, b) => (a.nextDate || "9999").localeCompare(b.nextDate || "9999"));
+}
+
+// Dates a schedule is expected to occur on between startDate (if given) and
+// endDate. Occurrences before its next date have already been entered, so
+// they are skipped; an overdue next date is still expected and is kept.
+async function getScheduleOccurrences(schedule, startDate, endDate) {
+  if (schedule.completed || !schedule.next_date) return [];
+
+  const today = getToday();
+  let dates;
+  if (typeof schedule.date === "string") {
+    dates = [schedule.next_date];
+  } else {
+    // Actual's own recurrence expansion, which lists dates from today on
+    const count = Math.max(daysBetween(today, endDate) + 2, 1);
+    dates = await api.internal.send("schedule/get-upcoming-dates", { config: schedule.date, count });
+    if (schedule.next_date < today) dates.unshift(schedule.next_date);
+  }
+
+  return [...new Set(dates)]
+    .filter(date => date >= schedule.next_date && (!startDate || date >= startDate) && date <= endDate);
+}
+
+// Every scheduled transaction expected in a date window, oldest first
+async function projectSchedules(startDate, endDate, accountIds) {
+  const schedules = (await api.getSchedules())
+    .filter(schedule => !accountIds || accountIds.includes(schedule.account));
+  const lookups = await getNameLookups();
+  const scheduleCategories = await getScheduleCategories();
+  const today = getToday();
+
+  const occurrences = [];
+  for (const schedule of schedules) {
+    const info = formatSchedule(schedule, lookups, scheduleCategories, today);
+    for (const date of await getScheduleOccurrences(schedule, startDate, endDate)) {
+      occurrences.push({
+        date,
+        scheduleId: schedule.id,
+        schedule: info.name,
+        payee: info.payee,
+        payeeId: info.payeeId,
+        account: info.account,
+        accountId: info.accountId,
+        category: info.category,
+        amount: scheduleAmount(schedule),
+        approximate: schedule.amountOp !== "is",
+        overdue: date < today,
+      });
     }
   }
+  return occurrences.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+async function getUpcomingTransactions(options = {}) {
+  await initBudget();
 
-  if (transaction.notes) {
-    payload.notes = transaction.notes;
+  const today = getToday();
+  const startDate = options.startDate ? validateDate(options.startDate, "startDate") : today;
+  const endDate = options.endDate ? validateDate(options.endDate, "endDate") : addDays(startDate, (options.days ?? 30) - 1);
+  if (endDate < startDate) {
+    throw new Error("endDate must not be before startDate");
+  }
+  if (endDate < today) {
+    throw new Error("The window must end today or later; use get_transactions for past transactions");
+  }
+  if (daysBetween(today, endDate) > MAX_PROJECTION_DAYS) {
+    throw new Error(`Projections reach at most ${MAX_PROJECTION_DAYS} days ahead`);
   }
 
-  // Use addTransactions (plural) which returns "ok"
-  const result = await api.addTransactions(transaction.account, [payload]);
+  const accountIds = options.accountId ? [findAccount(await api.getAccounts(), options.accountId).id] : null;
+  const occurrences = await projectSchedules(startDate, endDate, accountIds);
 
-  if (result !== "ok") {
-    throw new Error("Failed to create transaction - API returned: " + result);
+  const byAccount = new Map();
+  for (const o of occurrences) {
+    const entry = byAccount.get(o.accountId) || { account: o.account, inflow: 0, outflow: 0 };
+    if (o.amount > 0) entry.inflow += o.amount; else entry.outflow -= o.amount;
+    byAccount.set(o.accountId, entry);
   }
+  const inflow = occurrences.filter(o => o.amount > 0).reduce((sum, o) => sum + o.amount, 0);
+  const outflow = -occurrences.filter(o => o.amount < 0).reduce((sum, o) => sum + o.amount, 0);
 
-  await api.sync();
+  return {
+    startDate,
+    endDate,
+    count: occurrences.length,
+    inflow: inflow / 100,
+    outflow: outflow / 100,
+    net: (inflow - outflow) / 100,
+    accounts: [...byAccount.values()].map(a => ({
+      account: a.account,
+      inflow: a.inflow / 100,
+      outflow: a.outflow / 100,
+      net: (a.inflow - a.outflow) / 100,
+    })),
+    transactions: occurrences.map(({ accountId, payeeId, ...o }) => ({ ...o, amount: o.amount / 100 })),
+  };
+}
 
-  // Retrieve the transaction to confirm it was created
-  // Search by date, payee, and amount to find our new transaction
-  const allTransactions = await api.getTransactions();
-  const newTxn = allTransactions.find(t =>
-    t.date === payload.date &&
-    t.amount === payload.amount &&
-    (payload.notes ? t.notes === payload.notes : true)
-  );
+// Turn tool arguments into the API's schedule date: a plain date for a
+// one-off, or a recurrence config
+function buildScheduleDate({ date, frequency = "monthly", interval = 1, endDate, endOccurrences, skipWeekend, weekendSolveMode }) {
+  validateDate(date, "date");
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    throw new Error(`Invalid frequency "${frequency}". Use one of: ${SCHEDULE_FREQUENCIES.join(", ")}`);
+  }
+  if (frequency === "once") return date;
 
-  if (!newTxn) {
-    throw new Error("Transaction created but could not retrieve ID - sync may be needed");
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error("interval must be a positive whole number");
+  }
+  if (endDate !== undefined && endOccurrences !== undefined) {
+    throw new Error("Pass endDate or endOccurrences, not both");
+  }
+  if (weekendSolveMode !== undefined && !["before", "after"].includes(weekendSolveMode)) {
+    throw new Error(`Invalid weekendSolveMode "${weekendSolveMode}". Use "before" or "after"`);
   }
 
   return {
-    success: true,
-    transactionId: newTxn.id,
+    start: date,
+    frequency,
+    interval,
+    patterns: [],
+    skipWeekend: Boolean(skipWeekend),
+    weekendSolveMode: weekendSolveMode || "after",
+    endMode: endDate !== undefined ? "on_date" : endOccurrences !== undefined ? "after_n_occurrences" : "never",
+    ...(endDate !== undefined ? { endDate: validateDate(endDate, "endDate") } : {}),
+    ...(endOccurrences !== undefined ? { endOccurrences } : {}),
   };
 }
 
-async function getAccountTransactions(accountId, limit = 100) {
+// Set or replace the category action on a schedule's rule
+async function setScheduleCategory(schedule, categoryNameOrId) {
+  const category = findCategory(await api.getCategories(), categoryNameOrId);
+  const rule = (await api.getRules()).find(r => r.id === schedule.rule);
+  if (!rule) {
+    throw new Error(`The rule for schedule "${schedule.name || schedule.id}" was not found`);
+  }
+
+  await api.updateRule({
+    ...rule,
+    actions: [
+      ...rule.actions.filter(a => !(a.op === "set" && a.field === "category")),
+      { op: "set", field: "category", value: category.id, type: "id" },
+    ],
+  });
+}
+
+async function createSchedule(input) {
   await initBudget();
 
-  let transactions = await api.getTransactions();
-  transactions = transactions
-    .filter(t => t.account === accountId && !t.is_child)
-    .sort((a, b) => new Date(b.date) - new Date(a.date))
-    .slice(0, limit);
+  if (!input.payee || !String(input.payee).trim()) {
+    throw new Error("payee is required");
+  }
+  const account = findAccount(await api.getAccounts(), input.account);
+  if (typeof input.amount !== "number" || !Number.isFinite(input.amount)) {
+    throw new Error("amount must be a number of dollars (negative for payments)");
+  }
+  const amountOp = input.amountOp || "isapprox";
+  if (!SCHEDULE_AMOUNT_OPS.includes(amountOp)) {
+    throw new Error(`Invalid amountOp "${amountOp}". Use one of: ${SCHEDULE_AMOUNT_OPS.join(", ")}`);
+  }
+  const date = buildScheduleDate(input);
+  const schedules = await api.getSchedules();
+  if (input.name && schedules.some(s => s.name?.toLowerCase() === input.name.toLowerCase())) {
+    throw new Error(`A schedule named "${input.name}" already exists`);
+  }
+  if (input.category !== undefined) {
+    findCategory(await api.getCategories(), input.category);
+  }
+  // Resolved last, as it creates the payee if it is new
+  const [payee] = (await resolvePayees([String(input.payee).trim()])).values();
+
+  const id = await api.createSchedule({
+    name: input.name || null,
+    payee: payee.id,
+    account: account.id,
+    amount: Math.round(input.amount * 100),
+    amountOp,
+    date,
+    posts_transaction: Boolean(input.postsTransaction),
+  });
+  if (input.category !== undefined) {
+    await setScheduleCategory((await api.getSchedules()).find(s => s.id === id), input.category);
+  }
+  await api.sync();
 
-  return transactions.map(t => ({
-    id: t.id,
-    date: t.date,
-    payee: t.imported_payee || "Unknown",
-    category: t.category,
-    amount: t.amount / 100,
-    notes: t.notes || "",
-  }));
+  const schedule = (await api.getSchedules()).find(s => s.id === id);
+  return {
+    success: true,
+    payeeCreated: Boolean(payee.created),
+    schedule: formatSchedule(schedule, await getNameLookups(), await getScheduleCategories(), getToday()),
+  };
 }
 
-async function getTotalSpending(filters = {}) {
+async function updateSchedule(scheduleNameOrId, changes = {}) {
   await initBudget();
 
-  let transactions = await api.getTransactions();
+  const schedules = await api.getSchedules();
+  const schedule = findSchedule(schedules, scheduleNameOrId);
+  const fields = {};
 
-  // Filter by date range
-  if (filters.startDate) {
-    transactions = transactions.filter(t => t.date >= filters.startDate);
+  if (changes.name !== undefined) {
+    if (schedules.some(s => s.id !== schedule.id && s.name?.toLowerCase() === changes.name.toLowerCase())) {
+      throw new Error(`A schedule named "${changes.name}" already exists`);
+    }
+    fields.name = changes.name;
   }
-  if (filters.endDate) {
-    transactions = transactions.filter(t => t.date <= filters.endDate);
+  if (changes.payee !== undefined) {
+    const [payee] = (await resolvePayees([String(changes.payee).trim()])).values();
+    fields.payee = payee.id;
+  }
+  if (changes.account !== undefined) {
+    fields.account = findAccount(await api.getAccounts(), changes.account).id;
+  }
+  if (changes.amount !== undefined) {
+    if (typeof changes.amount !== "number" || !Number.isFinite(changes.amount)) {
+      throw new Error("amount must be a number of dollars (negative for payments)");
+    }
+    fields.amount = Math.round(changes.amount * 100);
+  }
+  if (changes.amountOp !== undefined) {
+    if (!SCHEDULE_AMOUNT_OPS.includes(changes.amountOp)) {
+      throw new Error(`Invalid amountOp "${changes.amountOp}". Use one of: ${SCHEDULE_AMOUNT_OPS.join(", ")}`);
+    }
+    fields.amountOp = changes.amountOp;
+  }
+  // A new date or recurrence replaces the old one entirely
+  const recurrenceKeys = ["date", "frequency", "interval", "endDate", "endOccurrences", "skipWeekend", "weekendSolveMode"];
+  if (recurrenceKeys.some(key => changes[key] !== undefined)) {
+    if (changes.date === undefined) {
+      throw new Error("Changing the recurrence needs date, the first occurrence");
+    }
+    fields.date = buildScheduleDate(changes);
+  }
+  if (changes.postsTransaction !== undefined) {
+    fields.posts_transaction = Boolean(changes.postsTransaction);
+  }
+  if (Object.keys(fields).length === 0 && changes.category === undefined) {
+    throw new Error("Nothing to update: pass name, payee, account, amount, amountOp, date (with recurrence), postsTransaction or category");
   }
 
-  // Exclude child transactions (splits)
-  transactions = transactions.filter(t => !t.is_child);
-
-  // Calculate totals
-  const totalSpent = Math.abs(transactions.reduce((sum, t) => sum + t.amount, 0));
-  const transactionCount = transactions.length;
-  const avgTransaction = transactionCount > 0 ? totalSpent / transactionCount : 0;
+  if (Object.keys(fields).length > 0) {
+    await api.updateSchedule(schedule.id, fields, fields.date !== undefined);
+  }
+  if (changes.category !== undefined) {
+    await setScheduleCategory(schedule, changes.category);
+  }
+  await api.sync();
 
+  const updated = (await api.getSchedules()).find(s => s.id === schedule.id);
   return {
-    totalSpent: totalSpent / 100,
-    transactionCount,
-    avgTransaction: avgTransaction / 100,
-    dateRange: {
-      startDate: filters.startDate || "all time",
-      endDate: filters.endDate || "today",
-    },
+    success: true,
+    schedule: formatSchedule(updated, await getNameLookups(), await getScheduleCategories(), getToday()),
   };
 }
 
-async function getUncategorizedTransactions(limit = 100) {
+// Pausing marks the schedule completed, as Actual's "Complete" does;
+// resuming restarts it from its next date on or after today
+async function pauseSchedule(scheduleNameOrId, paused = true) {
   await initBudget();
 
-  let transactions = await api.getTransactions();
-  transactions = transactions
-    .filter(t => !t.category && !t.is_child)
-    .sort((a, b) => new Date(b.date) - new Date(a.date))
-    .slice(0, limit);
+  const schedule = findSchedule(await api.getSchedules(), scheduleNameOrId);
+  if (Boolean(schedule.completed) === Boolean(paused)) {
+    throw new Error(`Schedule "${schedule.name || schedule.id}" is already ${paused ? "paused" : "active"}`);
+  }
 
-  return transactions.map(t => ({
-    id: t.id,
-    date: t.date,
-    account: t.account,
-    payee: t.imported_payee || "Unknown",
-    amount: t.amount / 100,
-    notes: t.notes || "",
-  }));
+  // The API's updateSchedule refuses to change completed, so use the app's handler
+  await api.internal.send("schedule/update", {
+    schedule: { id: schedule.id, completed: Boolean(paused) },
+    resetNextDate: !paused,
+  });
+  await api.sync();
+
+  const updated = (await api.getSchedules()).find(s => s.id === schedule.id);
+  return {
+    success: true,
+    schedule: formatSchedule(updated, await getNameLookups(), await getScheduleCategories(), getToday()),
+  };
 }
 
-// Balance History - get balance changes over time
-async function getBalanceHistory(accountId, limit = 30) {
+async function deleteSchedule(scheduleNameOrId) {
   await initBudget();
 
-  const transactions = await api.getTransactions();
-  const accountTransactions = transactions
-    .filter(t => t.account === accountId && !t.is_child)
-    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const schedule = findSchedule(await api.getSchedules(), scheduleNameOrId);
+  await api.deleteSchedule(schedule.id);
+  await api.sync();
 
-  // Calculate running balance
-  let runningBalance = 0;
-  const history = [];
+  return {
+    success: true,
+    scheduleId: schedule.id,
+    name: schedule.name || null,
+  };
+}
 
-  accountTransactions.slice(-limit).forEach(t => {
-    runningBalance += t.amount;
-    history.push({
-      date: t.date,
-      transaction: t.imported_payee || "Unknown",
-      amount: t.amount / 100,
-      balance: runningBalance / 100,
-    });
-  });
+// Recurring payments
+
+// Intervals a payee's transactions are checked against. A series needs most of
+// its gaps within `tolerance` days of the cadence, and at least `minCount`
+// transactions.
+const RECURRING_CADENCES = [
+  { cadence: "weekly", days: 7, tolerance: 1, minCount: 4, perYear: 52 },
+  { cadence: "biweekly", days: 14, tolerance: 2, minCount: 3, perYear: 26 },
+  { cadence: "monthly", days: 30, tolerance: 4, months: 1, minCount: 3, perYear: 12 },
+  { cadence: "quarterly", days: 91, tolerance: 10, months: 3, minCount: 3, perYear: 4 },
+  { cadence: "yearly", days: 365, tolerance: 15, months: 12, minCount: 2, perYear: 1 },
+];
+// Bills paid by hand land on a different day each month, so one transaction in
+// each of a run of consecutive months counts as monthly too, with a wider
+// window before a charge counts as missed
+const CALENDAR_MONTHLY_CADENCE = { ...RECURRING_CADENCES[2], tolerance: 27 };
+const RECURRING_MIN_REGULARITY = 2 / 3;
+// Amounts within this share of each other count as the same charge when a
+// payee's transactions are split up by amount
+const RECURRING_AMOUNT_TOLERANCE = 0.2;
+const RECURRING_HISTORY_MONTHS = 25;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
 
-  return history;
+// Add whole months to a date, keeping the day of the month where it exists
+// (Jan 31 + 1 month is Feb 28)
+function addMonthsToDate(date, count) {
+  const month = addMonths(date.slice(0, 7), count);
+  const [year, monthIndex] = month.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  return month + "-" + String(Math.min(Number(date.slice(8)), lastDay)).padStart(2, "0");
 }
 
-// Delete Transaction
-async function deleteTransaction(transactionId) {
-  await initBudget();
+function nextCadenceDate(date, cadence) {
+  return cadence.months ? addMonthsToDate(date, cadence.months) : addDays(date, cadence.days);
+}
 
-  const transactions = await api.getTransactions();
-  const transaction = transactions.find(t => t.id === transactionId);
+// The cadence a date-ordered list of transactions follows, or null
+function findCadence(rows) {
+  if (rows.length < 2) return null;
 
-  if (!transaction) {
-    throw new Error(`Transaction with ID "${transactionId}" not found`);
+  const gaps = rows.slice(1).map((row, i) => daysBetween(rows[i].date, row.date));
+  const typicalGap = median(gaps);
+  const cadence = RECURRING_CADENCES.find(c => Math.abs(typicalGap - c.days) <= c.tolerance);
+  if (cadence && rows.length >= cadence.minCount) {
+    const regular = gaps.filter(gap => Math.abs(gap - cadence.days) <= cadence.tolerance).length;
+    if (regular / gaps.length >= RECURRING_MIN_REGULARITY) return cadence;
   }
 
-  await api.batchBudgetUpdates(async () => {
-    await api.deleteTransaction(transactionId);
-  });
+  const months = rows.map(row => row.date.slice(0, 7));
+  if (rows.length >= CALENDAR_MONTHLY_CADENCE.minCount && new Set(months).size === months.length &&
+      monthRange(months[0], months[months.length - 1]).length === months.length) {
+    return CALENDAR_MONTHLY_CADENCE;
+  }
+  return null;
+}
+
+// Split a payee's transactions into runs of similar amounts, so a monthly
+// membership shows up even among that payee's one-off purchases
+function clusterByAmount(rows) {
+  const clusters = [];
+  for (const row of [...rows].sort((a, b) => a.amount - b.amount)) {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && Math.abs(row.amount - cluster[0].amount) <= Math.abs(cluster[0].amount) * RECURRING_AMOUNT_TOLERANCE) {
+      cluster.push(row);
+    } else {
+      clusters.push([row]);
+    }
+  }
+  return clusters.map(cluster => cluster.sort((a, b) => a.date.localeCompare(b.date)));
+}
+
+// Top-level, non-transfer transactions since a date, oldest first
+async function getRecurringCandidates(startDate) {
+  return runQuery(
+    q("transactions")
+      .filter({ $and: [dateRangeFilter(startDate), { transfer_id: null }, { payee: { $ne: null } }] })
+      .options({ splits: "none" })
+      .select(["id", "date", "amount", "payee", "account", "category"])
+      .orderBy([{ date: "asc" }])
+  );
+}
+
+// Series of transactions from the same payee, with the same sign, at a regular
+// cadence. Payees that aren't regular as a whole are split by amount and the
+// runs checked again. Amounts are in cents.
+function findRecurringSeries(rows, today) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (row.amount === 0) continue;
+    const key = `${row.payee}:${row.amount < 0 ? "out" : "in"}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  const series = [];
+  for (const group of groups.values()) {
+    const cadence = findCadence(group);
+    const runs = cadence ? [[group, cadence]] :
+      clusterByAmount(group).map(cluster => [cluster, findCadence(cluster)]).filter(([, c]) => c);
+
+    for (const [occurrences, runCadence] of runs) {
+      const last = occurrences[occurrences.length - 1];
+      let nextDate = nextCadenceDate(last.date, runCadence);
+      // Expected charges that never came
+      let missed = 0;
+      while (addDays(nextDate, runCadence.tolerance) < today) {
+        missed++;
+        nextDate = nextCadenceDate(nextDate, runCadence);
+      }
+
+      series.push({
+        payeeId: last.payee,
+        accountId: last.account,
+        categoryId: last.category,
+        cadence: runCadence,
+        occurrences,
+        // The recent amounts, so a price change shows up straight away
+        typicalAmount: Math.round(median(occurrences.slice(-3).map(o => o.amount))),
+        lastDate: last.date,
+        lastAmount: last.amount,
+        nextDate: missed > 0 ? null : nextDate,
+        missed,
+      });
+    }
+  }
+  return series;
+}
+
+// Amounts within this share of the previous price count as the same price
+const PRICE_CHANGE_TOLERANCE = 0.02;
+
+// Price levels a series went through. A level seen only once is a one-off
+// variation (a prorated or taxed charge) and is dropped, unless it is the
+// latest. Amounts are positive cents.
+function findPriceLevels(charges) {
+  const levels = [];
+  for (const charge of charges) {
+    const level = levels[levels.length - 1];
+    if (level && Math.abs(charge.amount - level.amount) <= level.amount * PRICE_CHANGE_TOLERANCE) {
+      level.count++;
+    } else {
+      levels.push({ amount: charge.amount, date: charge.date, count: 1 });
+    }
+  }
+  return levels;
+}
+
+function describeRecurringCharge(series, lookups, today) {
+  const charges = series.occurrences.map(o => ({ date: o.date, amount: -o.amount }));
+  const amount = -series.typicalAmount;
+  const levels = findPriceLevels(charges);
+  // Metered bills change every time; their range says more than a list of changes
+  const variableAmount = levels.length > charges.length / 2;
+
+  const priceChanges = [];
+  if (!variableAmount) {
+    const kept = levels.filter((level, i) => level.count > 1 || i === levels.length - 1);
+    for (let i = 1; i < kept.length; i++) {
+      if (Math.abs(kept[i].amount - kept[i - 1].amount) <= kept[i - 1].amount * PRICE_CHANGE_TOLERANCE) continue;
+      priceChanges.push({
+        date: kept[i].date,
+        from: kept[i - 1].amount / 100,
+        to: kept[i].amount / 100,
+        percentChange: percentChange(kept[i].amount, kept[i - 1].amount),
+      });
+    }
+  }
+  const latestChange = priceChanges[priceChanges.length - 1];
+  // Changed in the last 90 days, or at one of the last two charges for the
+  // slower cadences
+  const changedRecently = Boolean(latestChange) && (latestChange.date >= addDays(today, -90) ||
+    charges.slice(-2).some(c => c.date === latestChange.date));
 
   return {
-    success: true,
-    transactionId,
-    message: `Transaction deleted: ${transaction.imported_payee || "Unknown"} ($${(transaction.amount / 100).toFixed(2)})`,
+    payee: lookups.payees.get(series.payeeId)?.name || "Unknown",
+    payeeId: series.payeeId,
+    account: lookups.accounts.get(series.accountId)?.name || null,
+    category: series.categoryId ? lookups.categories.get(series.categoryId)?.name || null : null,
+    cadence: series.cadence.cadence,
+    amount: amount / 100,
+    annualizedCost: roundAmount((amount * series.cadence.perYear) / 100),
+    variableAmount,
+    ...(variableAmount ? {
+      amountRange: {
+        min: Math.min(...charges.map(c => c.amount)) / 100,
+        max: Math.max(...charges.map(c => c.amount)) / 100,
+      },
+    } : {}),
+    chargeCount: charges.length,
+    firstCharge: charges[0].date,
+    lastCharge: { date: series.lastDate, amount: -series.lastAmount / 100 },
+    nextExpected: series.nextDate,
+    status: series.missed > 0 ? "stopped" : "active",
+    ...(series.missed > 0 ? { missedCharges: series.missed } : {}),
+    amountChanged: changedRecently,
+    priceChanges,
   };
 }
 
-// Delete Category
-async function deleteCategory(categoryId) {
+// Recurring charges in the history: subscriptions, memberships and bills that
+// come from the same payee at a regular interval. Stopped ones are those whose
+// expected charges haven't come in.
+async function findRecurringCharges(options = {}) {
   await initBudget();
 
-  const categories = await api.getCategories();
-  const category = categories.find(c => c.id === categoryId);
-
-  if (!category) {
-    throw new Error(`Category with ID "${categoryId}" not found`);
+  const { historyMonths = RECURRING_HISTORY_MONTHS, includeStopped = true, minAmount = 0 } = options;
+  if (!Number.isInteger(historyMonths) || historyMonths < 3 || historyMonths > 120) {
+    throw new Error("historyMonths must be a whole number from 3 to 120");
   }
-
-  try {
-    await api.deleteCategory(categoryId);
-    await api.sync();
-    return {
-      success: true,
-      categoryId,
-      categoryName: category.name,
-      message: `Category "${category.name}" deleted`,
-    };
-  } catch (error) {
-    throw new Error(`Cannot delete category "${category.name}": ${error.message}`);
+  const accountId = options.accountId ? findAccount(await api.getAccounts(), options.accountId).id : null;
+
+  const today = getToday();
+  const historyStart = addMonthsToDate(today, -historyMonths);
+  const rows = (await getRecurringCandidates(historyStart))
+    .filter(t => t.date <= today && (!accountId || t.account === accountId));
+  const lookups = await getNameLookups();
+
+  const charges = findRecurringSeries(rows, today)
+    .filter(series => series.typicalAmount < 0 && -series.typicalAmount >= minAmount * 100)
+    .map(series => describeRecurringCharge(series, lookups, today))
+    .filter(charge => includeStopped || charge.status === "active")
+    .sort((a, b) => b.annualizedCost - a.annualizedCost);
+
+  const flagged = [];
+  for (const c of charges) {
+    if (c.status === "stopped") {
+      flagged.push(`${c.payee}: no ${c.cadence} charge since ${c.lastCharge.date}, ${c.missedCharges} expected charge(s) missed`);
+    } else if (c.amountChanged) {
+      const change = c.priceChanges[c.priceChanges.length - 1];
+      flagged.push(`${c.payee}: changed from ${change.from} to ${change.to} on ${change.date}`);
+    }
   }
+
+  const active = charges.filter(c => c.status === "active");
+  const annualCost = active.reduce((sum, c) => sum + c.annualizedCost, 0);
+  return {
+    historyStart,
+    count: charges.length,
+    active: active.length,
+    stopped: charges.length - active.length,
+    monthlyCost: roundAmount(annualCost / 12),
+    annualCost: roundAmount(annualCost),
+    flagged,
+    charges,
+  };
 }
 
-// Run Bank Sync
-async function runBankSync() {
+// Cash-flow forecast
+
+const FORECAST_DISCRETIONARY_DAYS = 90;
+
+// Project each on-budget account's balance day by day from today. Changes come
+// from transactions already entered with future dates, schedules, recurring
+// payments detected in the history (when no schedule covers their payee), and
+// the account's average daily spending on everything else.
+async function forecastCashFlow(options = {}) {
   await initBudget();
 
-  try {
-    const syncStatus = await api.getBankSyncStatus();
+  const {
+    days = 30,
+    threshold = 0,
+    includeRecurring = true,
+    includeDiscretionary = true,
+    discretionaryDays = FORECAST_DISCRETIONARY_DAYS,
+    plannedTransactions = [],
+    includeDaily = true,
+  } = options;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_PROJECTION_DAYS) {
+    throw new Error(`days must be a whole number from 1 to ${MAX_PROJECTION_DAYS}`);
+  }
+  if (typeof threshold !== "number" || !Number.isFinite(threshold)) {
+    throw new Error("threshold must be a number of dollars");
+  }
+  if (!Number.isInteger(discretionaryDays) || discretionaryDays < 7 || discretionaryDays > 365) {
+    throw new Error("discretionaryDays must be a whole number from 7 to 365");
+  }
+  if (!Array.isArray(plannedTransactions)) {
+    throw new Error("plannedTransactions must be an array");
+  }
 
-    // Attempt to sync
-    await api.syncBankAccounts();
+  const today = getToday();
+  const endDate = addDays(today, days);
+  const allAccounts = await api.getAccounts();
+  let accounts;
+  if (options.accountId) {
+    const account = findAccount(allAccounts, options.accountId);
+    if (account.offbudget || account.closed) {
+      throw new Error(`"${account.name}" is ${account.closed ? "closed" : "off budget"}; forecasts cover open on-budget accounts`);
+    }
+    accounts = [account];
+  } else {
+    accounts = allAccounts.filter(a => !a.offbudget && !a.closed);
+  }
+  if (accounts.length === 0) {
+    throw new Error("There are no open on-budget accounts to forecast");
+  }
+  const accountIds = accounts.map(a => a.id);
+  const lookups = await getNameLookups();
 
-    return {
-      success: true,
-      message: "Bank sync initiated",
-      timestamp: new Date().toISOString(),
-      syncStatus,
+  // Every change to a balance, in cents, keyed by account then date
+  const events = [];
+  const addEvent = (event) => {
+    if (accountIds.includes(event.accountId)) events.push(event);
+  };
+
+  const entered = await runQuery(
+    q("transactions")
+      .filter({ $and: [...anyOf("account", accountIds), { date: [{ $gt: today }, { $lte: endDate }] }] })
+      .options({ splits: "none" })
+      .select(["id", "date", "amount", "account", "payee", "imported_payee"])
+  );
+  for (const t of entered) {
+    addEvent({ date: t.date, accountId: t.account, source: "entered", payee: getPayeeName(t, lookups), amount: t.amount });
+  }
+
+  // Overdue schedules are still expected, so they land today
+  const scheduled = await projectSchedules(null, endDate, null);
+  const scheduledPayees = new Set((await api.getSchedules()).filter(s => !s.completed).map(s => s.payee));
+  for (const o of scheduled) {
+    const event = {
+      date: o.date < today ? today : o.date,
+      source: "scheduled",
+      payee: o.payee,
+      amount: o.amount,
+      ...(o.overdue ? { overdue: true } : {}),
     };
-  } catch (error) {
-    throw new Error(`Bank sync failed: ${error.message}`);
+    addEvent({ ...event, accountId: o.accountId });
+    // A scheduled transfer also lands in the account on the other side
+    const transferAccount = lookups.payees.get(o.payeeId)?.transfer_acct;
+    if (transferAccount) {
+      addEvent({ ...event, accountId: transferAccount, payee: lookups.accounts.get(o.accountId)?.name, amount: -o.amount });
+    }
+  }
+
+  const historyStart = addMonthsToDate(today, -RECURRING_HISTORY_MONTHS);
+  const discretionaryStart = addDays(today, -discretionaryDays);
+  const history = await getRecurringCandidates(historyStart < discretionaryStart ? historyStart : discretionaryStart);
+  const series = findRecurringSeries(history.filter(t => t.date >= historyStart && t.date <= today), today);
+
+  const recurring = [];
+  if (includeRecurring) {
+    for (const s of series) {
+      if (!s.nextDate || scheduledPayees.has(s.payeeId)) continue;
+      // A charge that is due but hasn't come in yet is expected tomorrow
+      for (let date = s.nextDate; date <= endDate; date = nextCadenceDate(date, s.cadence)) {
+        addEvent({
+          date: date <= today ? addDays(today, 1) : date,
+          accountId: s.accountId,
+          source: "recurring",
+          payee: lookups.payees.get(s.payeeId)?.name || "Unknown",
+          amount: s.typicalAmount,
+          cadence: s.cadence.cadence,
+        });
+      }
+      if (accountIds.includes(s.accountId)) {
+        recurring.push({
+          payee: lookups.payees.get(s.payeeId)?.name || "Unknown",
+          account: lookups.accounts.get(s.accountId)?.name || null,
+          cadence: s.cadence.cadence,
+          amount: s.typicalAmount / 100,
+          nextDate: s.nextDate,
+        });
+      }
+    }
+  }
+
+  for (const [i, p] of plannedTransactions.entries()) {
+    const account = findAccount(allAccounts, p.account);
+    if (!accountIds.includes(account.id)) {
+      throw new Error(`plannedTransactions[${i}]: "${account.name}" is not one of the accounts being forecast`);
+    }
+    if (typeof p.amount !== "number" || !Number.isFinite(p.amount)) {
+      throw new Error(`plannedTransactions[${i}]: amount must be a number of dollars (negative for purchases)`);
+    }
+    const date = p.date ? validateDate(p.date, `plannedTransactions[${i}].date`) : today;
+    if (date < today || date > endDate) {
+      throw new Error(`plannedTransactions[${i}]: date must be between ${today} and ${endDate}`);
+    }
+    addEvent({ date, accountId: account.id, source: "planned", payee: p.description || "Planned", amount: Math.round(p.amount * 100) });
+  }
+
+  // Average daily spending in each account, leaving out what the schedules and
+  // recurring payments above already account for
+  const projectedIds = new Set(includeRecurring ? series.flatMap(s => s.occurrences.map(o => o.id)) : []);
+  const dailySpend = new Map(accountIds.map(id => [id, 0]));
+  if (includeDiscretionary) {
+    for (const t of history) {
+      if (t.date < discretionaryStart || t.date >= today || t.amount >= 0) continue;
+      if (!dailySpend.has(t.account) || projectedIds.has(t.id) || scheduledPayees.has(t.payee)) continue;
+      dailySpend.set(t.account, dailySpend.get(t.account) - t.amount / discretionaryDays);
+    }
+  }
+
+  const thresholdCents = Math.round(threshold * 100);
+  const results = [];
+  const warnings = [];
+  for (const account of accounts) {
+    const changes = new Map();
+    for (const e of events.filter(e => e.accountId === account.id)) {
+      changes.set(e.date, (changes.get(e.date) || 0) + e.amount);
+    }
+
+    const startingBalance = await api.getAccountBalance(account.id);
+    let balance = startingBalance;
+    const daily = [];
+    let lowest = null;
+    let firstBelow = null;
+    for (let date = today; date <= endDate; date = addDays(date, 1)) {
+      balance += changes.get(date) || 0;
+      if (date > today) balance -= dailySpend.get(account.id);
+      const rounded = Math.round(balance);
+      daily.push({ date, balance: rounded / 100 });
+      if (!lowest || rounded < lowest.balance) lowest = { date, balance: rounded };
+      if (!firstBelow && rounded < thresholdCents) firstBelow = { date, balance: rounded };
+    }
+
+    const alreadyBelow = startingBalance < thresholdCents;
+    if (firstBelow && !alreadyBelow) {
+      warnings.push(`${account.name} is projected to fall below ${threshold} on ${firstBelow.date} (${firstBelow.balance / 100})`);
+    }
+    results.push({
+      account: account.name,
+      accountId: account.id,
+      startingBalance: startingBalance / 100,
+      endingBalance: Math.round(balance) / 100,
+      lowestBalance: { date: lowest.date, balance: lowest.balance / 100 },
+      alreadyBelowThreshold: alreadyBelow,
+      firstDateBelowThreshold: firstBelow ? firstBelow.date : null,
+      dailyDiscretionarySpend: roundAmount(dailySpend.get(account.id) / 100),
+      ...(includeDaily ? { daily } : {}),
+    });
   }
+
+  return {
+    startDate: today,
+    endDate,
+    threshold,
+    warnings,
+    accounts: results,
+    events: events
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ accountId, ...e }) => ({ ...e, account: lookups.accounts.get(accountId)?.name || null, amount: e.amount / 100 })),
+    recurring,
+    message: "Discretionary spending is spread evenly over each day; actual spending will be lumpier. Transfers only appear when they are scheduled",
+  };
 }
 
-// List all tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  const tools = [
-    {
-      name: "get_accounts",
-      description: "Get all accounts with their balances and types",
-      inputSchema: {
-        type: "object",
-        properties: {},
-        required: [],
-      },
-    },
+// Anomaly detection
+
+const ANOMALY_HISTORY_MONTHS = 12;
+const MAX_REVIEW_DAYS = 92;
+// Past transactions a payee or category needs before its amounts count as usual
+const ANOMALY_MIN_PAYEE_HISTORY = 5;
+const ANOMALY_MIN_CATEGORY_HISTORY = 10;
+// An unusual amount is also at least this much above the average, so steady
+// payees with a tiny spread don't flag every small variation
+const ANOMALY_MIN_RATIO = 1.25;
+const FIRST_TIME_PAYEE_AMOUNT = 100;
+// A category spike is at least this many dollars above the average
+const SPIKE_MIN_INCREASE = 25;
+const ANOMALY_TYPES = ["possible_duplicate", "unusual_amount", "first_time_payee", "category_spike"];
+
+function amountStats(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const stdDev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  return { count: values.length, mean, stdDev, min: Math.min(...values), max: Math.max(...values) };
+}
+
+// How far a positive amount sits above the usual ones, or null if it doesn't stand out
+function unusualBy(amount, stats, threshold) {
+  if (amount < stats.mean * ANOMALY_MIN_RATIO) return null;
+  if (stats.stdDev === 0) return Infinity;
+  const deviations = (amount - stats.mean) / stats.stdDev;
+  return deviations > threshold ? deviations : null;
+}
+
+// Cents as "$1,234.56" for explanations
+function formatDollars(cents) {
+  return "$" + (cents / 100).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function describeUsual(stats) {
+  return {
+    average: roundAmount(stats.mean / 100),
+    range: { min: stats.min / 100, max: stats.max / 100 },
+    count: stats.count,
+  };
+}
+
+// Flag transactions in a date window that look wrong next to the history
+// before it: amounts far above what a payee or category usually costs, the
+// same charge twice within a few days, large first payments to a new payee,
+// and categories with much more spending than usual over a window this long.
+// Outflows only; transfers are left out.
+async function findAnomalies(options = {}) {
+  await initBudget();
+
+  const today = getToday();
+  const endDate = options.endDate ? validateDate(options.endDate, "endDate") : today;
+  const startDate = options.startDate ? validateDate(options.startDate, "startDate") : addDays(endDate, -6);
+  if (startDate > endDate) {
+    throw new Error("startDate must not be after endDate");
+  }
+  const windowDays = daysBetween(startDate, endDate) + 1;
+  if (windowDays > MAX_REVIEW_DAYS) {
+    throw new Error(`Review at most ${MAX_REVIEW_DAYS} days at a time`);
+  }
+  const {
+    historyMonths = ANOMALY_HISTORY_MONTHS,
+    unusualThreshold = 3,
+    duplicateDays = DUPLICATE_WINDOW_DAYS,
+    firstTimePayeeAmount = FIRST_TIME_PAYEE_AMOUNT,
+    includeOffBudget = false,
+  } = options;
+  if (!Number.isInteger(historyMonths) || historyMonths < 1 || historyMonths > 60) {
+    throw new Error("historyMonths must be a whole number from 1 to 60");
+  }
+  const types = options.types ?? ANOMALY_TYPES;
+  if (!Array.isArray(types)) {
+    throw new Error(`types must be an array, e.g. ["${ANOMALY_TYPES[0]}"]`);
+  }
+  const unknownType = types.find(type => !ANOMALY_TYPES.includes(type));
+  if (unknownType !== undefined) {
+    throw new Error(`Invalid type "${unknownType}". Use any of: ${ANOMALY_TYPES.join(", ")}`);
+  }
+
+  const accountIds = options.accountId ? [findAccount(await api.getAccounts(), options.accountId).id] : [];
+  const historyStart = addMonthsToDate(startDate, -historyMonths);
+  const conditions = [
+    ...anyOf("account", accountIds),
+    { transfer_id: null },
+    { amount: { $lt: 0 } },
+    ...(includeOffBudget ? [] : [{ "account.offbudget": false }]),
+  ];
+  const lookups = await getNameLookups();
+
+  // Whole transactions for payees and duplicates, split lines for categories
+  const queryRows = (from, to, splits) => runQuery(
+    q("transactions")
+      .filter({ $and: [...conditions, dateRangeFilter(from, to)] })
+      .options({ splits })
+      .select("*")
+      .orderBy([{ date: "asc" }])
+  );
+  const history = await queryRows(historyStart, addDays(startDate, -1), "none");
+  const rows = await queryRows(startDate, endDate, "none");
+  const lines = await queryRows(startDate, endDate, "inline");
+
+  const flags = [];
+  const flagged = new Set();
+  // Transactions already judged against their payee's own history
+  const judged = new Set();
+
+  if (types.includes("possible_duplicate")) {
+    // Same account, payee and amount a few days apart; the earlier charge may
+    // fall just before the window
+    const groups = new Map();
+    for (const t of [...history.filter(t => t.date >= addDays(startDate, -duplicateDays)), ...rows]) {
+      const key = `${t.account}:${t.payee || t.imported_payee}:${t.amount}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(t);
+    }
+    for (const group of groups.values()) {
+      for (let i = 1; i < group.length; i++) {
+        const [first, second] = [group[i - 1], group[i]];
+        if (second.date < startDate || daysBetween(first.date, second.date) > duplicateDays) continue;
+        const days = daysBetween(first.date, second.date);
+        flags.push({
+          type: "possible_duplicate",
+          date: second.date,
+          amount: second.amount / 100,
+          explanation: `${getPayeeName(second, lookups)} charged ${formatDollars(-second.amount)} twice in ` +
+            `${lookups.accounts.get(second.account)?.name || "the same account"} ` +
+            (days === 0 ? `on ${second.date}` : `${days} day(s) apart (${first.date} and ${second.date})`),
+          transactions: [formatTransaction(first, lookups), formatTransaction(second, lookups)],
+        });
+        flagged.add(second.id);
+      }
+    }
+  }
+
+  if (types.includes("unusual_amount")) {
+    const byPayee = new Map();
+    for (const t of history) {
+      if (!t.payee) continue;
+      if (!byPayee.has(t.payee)) byPayee.set(t.payee, []);
+      byPayee.get(t.payee).push(-t.amount);
+    }
+    for (const t of rows) {
+      const past = byPayee.get(t.payee);
+      if (!past || past.length < ANOMALY_MIN_PAYEE_HISTORY) continue;
+      judged.add(t.id);
+      const stats = amountStats(past);
+      const deviations = unusualBy(-t.amount, stats, unusualThreshold);
+      if (deviations === null) continue;
+      flags.push({
+        type: "unusual_amount",
+        date: t.date,
+        amount: t.amount / 100,
+        explanation: `${formatDollars(-t.amount)} at ${getPayeeName(t, lookups)} is ` +
+          (deviations === Infinity ? "more than the" : `${roundAmount(deviations)} standard deviations above the`) +
+          ` usual ${formatDollars(stats.mean)} there (${stats.count} past transactions, ${formatDollars(stats.min)} to ${formatDollars(stats.max)})`,
+        transaction: formatTransaction(t, lookups),
+        usual: describeUsual(stats),
+      });
+      flagged.add(t.id);
+    }
+
+    // Categories cover payees without enough history of their own. Split
+    // lines are read individually so each counts under its own category.
+    const categoryHistory = new Map();
+    for (const t of await queryRows(historyStart, addDays(startDate, -1), "inline")) {
+      if (!t.category) continue;
+      if (!categoryHistory.has(t.category)) categoryHistory.set(t.category, []);
+      categoryHistory.get(t.category).push(-t.amount);
+    }
+    for (const t of lines) {
+      const past = categoryHistory.get(t.category);
+      if (judged.has(t.id) || judged.has(t.parent_id) || !past || past.length < ANOMALY_MIN_CATEGORY_HISTORY) continue;
+      const stats = amountStats(past);
+      const deviations = unusualBy(-t.amount, stats, unusualThreshold);
+      if (deviations === null) continue;
+      const categoryName = lookups.categories.get(t.category)?.name || "this category";
+      flags.push({
+        type: "unusual_amount",
+        date: t.date,
+        amount: t.amount / 100,
+        explanation: `${formatDollars(-t.amount)} at ${getPayeeName(t, lookups)} is ` +
+          (deviations === Infinity ? "more than the" : `${roundAmount(deviations)} standard deviations above the`) +
+          ` usual ${formatDollars(stats.mean)} for ${categoryName} (${stats.count} past transactions, ${formatDollars(stats.min)} to ${formatDollars(stats.max)})`,
+        transaction: formatTransaction(t, lookups),
+        usual: describeUsual(stats),
+      });
+      flagged.add(t.id);
+    }
+  }
+
+  if (types.includes("first_time_payee")) {
+    const candidates = rows.filter(t => t.payee && -t.amount >= firstTimePayeeAmount * 100);
+    const earlier = candidates.length === 0 ? [] : await runQuery(
+      q("transactions")
+        .filter({ $and: [...anyOf("payee", [...new Set(candidates.map(t => t.payee))]), { date: { $lt: startDate } }] })
+        .options({ splits: "none" })
+        .groupBy("payee")
+        .select(["payee", { count: { $count: "$id" } }])
+    );
+    const seen = new Set(earlier.map(row => row.payee));
+    for (const t of rows) {
+      if (seen.has(t.payee)) continue;
+      seen.add(t.payee);
+      if (!candidates.includes(t)) continue;
+      flags.push({
+        type: "first_time_payee",
+        date: t.date,
+        amount: t.amount / 100,
+        explanation: `First ever transaction with ${getPayeeName(t, lookups)}, for ${formatDollars(-t.amount)}`,
+        transaction: formatTransaction(t, lookups),
+      });
+    }
+  }
+
+  if (types.includes("category_spike")) {
+    // Spending per category in the window against earlier windows of the same length
+    const periods = Math.floor(daysBetween(historyStart, startDate) / windowDays);
+    const daily = await getDailySpending(
+      { startDate: addDays(startDate, -periods * windowDays), endDate, accounts: accountIds, includeOffBudget },
+      SPENDING_DIMENSIONS.category
+    );
+    const totals = new Map();
+    for (const row of daily) {
+      if (!row.key) continue;
+      if (!totals.has(row.key)) totals.set(row.key, new Array(periods + 1).fill(0));
+      // Index 0 is the review window, 1 the window before it, and so on
+      const index = row.date >= startDate ? 0 : Math.floor((daysBetween(row.date, startDate) - 1) / windowDays) + 1;
+      totals.get(row.key)[index] += row.spent;
+    }
+    for (const [categoryId, values] of totals) {
+      const [current, ...past] = values;
+      if (past.length < 4 || current <= 0) continue;
+      const stats = amountStats(past);
+      const deviations = unusualBy(current, stats, unusualThreshold);
+      if (deviations === null || current - stats.mean < SPIKE_MIN_INCREASE * 100) continue;
+      const categoryName = lookups.categories.get(categoryId)?.name || "Unknown";
+      const categoryRows = lines.filter(t => t.category === categoryId).sort((a, b) => a.amount - b.amount);
+      flags.push({
+        type: "category_spike",
+        date: endDate,
+        amount: -current / 100,
+        explanation: `${categoryName}: ${formatDollars(current)} spent in these ${windowDays} days against ` +
+          `${formatDollars(stats.mean)} on average over the previous ${past.length} stretches of ${windowDays} days`,
+        category: categoryName,
+        categoryId,
+        usual: describeUsual(stats),
+        // The largest transactions behind the spike
+        transactions: categoryRows.slice(0, 3).map(t => formatTransaction(t, lookups)),
+      });
+    }
+  }
+
+  flags.sort((a, b) => ANOMALY_TYPES.indexOf(a.type) - ANOMALY_TYPES.indexOf(b.type) || a.amount - b.amount);
+  return {
+    startDate,
+    endDate,
+    historyStart,
+    reviewed: rows.length,
+    count: flags.length,
+    summary: Object.fromEntries(ANOMALY_TYPES.filter(type => types.includes(type))
+      .map(type => [type, flags.filter(f => f.type === type).length])),
+    flags,
+    message: flags.length > 0 ?
+      "These are only unusual, not necessarily wrong. Go through them with the user; duplicates can be removed with delete_transaction" :
+      `Nothing unusual between ${startDate} and ${endDate}`,
+  };
+}
+
+// Budget order: expense groups as sorted in Actual, then income groups,
+// with categories sorted inside each group
+function compareBudgetOrder(a, b) {
+  return (a.is_income ? 1 : 0) - (b.is_income ? 1 : 0) || (a.sort_order ?? 0) - (b.sort_order ?? 0);
+}
+
+async function getCategories() {
+  await initBudget();
+
+  // The API's category objects leave out sort order, so read it with AQL
+  const groups = await runQuery(q("category_groups").select(["id", "name", "is_income", "hidden", "sort_order"]));
+  const categories = await runQuery(q("categories").select(["id", "name", "is_income", "hidden", "group", "sort_order"]));
+  const groupById = new Map(groups.map(g => [g.id, g]));
+
+  return categories
+    .sort((a, b) => {
+      const groupA = groupById.get(a.group) || {};
+      const groupB = groupById.get(b.group) || {};
+      return compareBudgetOrder(groupA, groupB) || compareBudgetOrder(a, b);
+    })
+    .map(c => ({
+      id: c.id,
+      name: c.name,
+      isHidden: c.hidden || false,
+      isIncome: c.is_income || false,
+      groupId: c.group || null,
+      groupName: groupById.get(c.group)?.name || null,
+      groupIsHidden: groupById.get(c.group)?.hidden || false,
+      sortOrder: c.sort_order,
+      groupSortOrder: groupById.get(c.group)?.sort_order ?? null,
+    }));
+}
+
+async function getCategoryById(categoryId, month) {
+  await initBudget();
+  const categories = await api.getCategories();
+  const category = categories.find(c => c.id === categoryId);
+  if (!category) return null;
+
+  // Get budget data from the requested month (default: current month)
+  const monthStr = month ? validateMonth(month) : getCurrentMonth();
+  const budgetMonth = await api.getBudgetMonth(monthStr);
+
+  // Find category in budget data
+  let categoryBudgetData = null;
+  for (const group of budgetMonth.categoryGroups || []) {
+    const found = group.categories?.find(c => c.id === categoryId);
+    if (found) {
+      categoryBudgetData = found;
+      break;
+    }
+  }
+
+  return {
+    id: category.id,
+    name: category.name,
+    budgeted: categoryBudgetData?.budgeted ? categoryBudgetData.budgeted / 100 : 0,
+    spent: categoryBudgetData?.spent ? Math.abs(categoryBudgetData.spent) / 100 : 0,
+    balance: categoryBudgetData?.balance ? categoryBudgetData.balance / 100 : 0,
+    isHidden: category.hidden || false,
+    isIncome: category.is_income || false,
+    groupId: category.group_id || null,
+    month: monthStr,
+  };
+}
+
+async function getTransactions(filters = {}) {
+  await initBudget();
+
+  const filter = dateRangeFilter(filters.startDate, filters.endDate);
+
+  if (filters.category) {
+    filter.category = filters.category;
+  }
+  if (filters.account) {
+    filter.account = filters.account;
+  }
+
+  // Partial match on the payee name or the raw imported payee
+  if (filters.payee) {
+    const pattern = `%${filters.payee}%`;
+    filter.$or = [
+      { "payee.name": { $like: pattern } },
+      { imported_payee: { $like: pattern } },
+    ];
+  }
+
+  // Split children are excluded unless explicitly requested
+  const splits = filters.excludeChild === false ? "all" : "none";
+
+  return queryTransactionPage(filter, filters, splits);
+}
+
+async function getTransactionById(transactionId) {
+  await initBudget();
+  const transaction = await findTransaction(transactionId);
+
+  if (!transaction) return null;
+
+  // A split parent always comes back with its lines
+  if (transaction.is_parent) {
+    transaction.subtransactions = await getSplitLines(transaction.id);
+  }
+
+  return formatTransaction(transaction, await getNameLookups());
+}
+
+async function getSplitLines(parentId) {
+  return runQuery(
+    q("transactions")
+      .filter({ parent_id: parentId })
+      .options({ splits: "all" })
+      .select("*")
+      .orderBy([{ sort_order: "desc" }])
+  );
+}
+
+const TRANSFER_FILTERS = ["include", "exclude", "only"];
+const AMOUNT_SIGNS = ["any", "outflow", "inflow"];
+
+function validateIdList(value, name) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(id => typeof id !== "string")) {
+    throw new Error(`${name} must be an array of IDs`);
+  }
+  return value;
+}
+
+function validateRegex(pattern, name) {
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid ${name}: ${error.message}`);
+  }
+  return pattern;
+}
+
+// Amount bounds apply to the absolute value, so "between $200 and $500"
+// matches both $-350 purchases and $350 deposits unless a sign is given
+function amountConditions(criteria) {
+  const sign = criteria.sign || "any";
+  if (!AMOUNT_SIGNS.includes(sign)) {
+    throw new Error(`Invalid sign "${sign}". Use one of: ${AMOUNT_SIGNS.join(", ")}`);
+  }
+
+  const min = criteria.minAmount !== undefined ? Math.round(Math.abs(criteria.minAmount) * 100) : null;
+  const max = criteria.maxAmount !== undefined ? Math.round(Math.abs(criteria.maxAmount) * 100) : null;
+  if (min !== null && max !== null && min > max) {
+    throw new Error("minAmount cannot be greater than maxAmount");
+  }
+
+  const outflow = [{ $lt: 0 }];
+  const inflow = [sign === "inflow" ? { $gt: 0 } : { $gte: 0 }];
+  if (min !== null) {
+    outflow.push({ $lte: -min });
+    inflow.push({ $gte: min });
+  }
+  if (max !== null) {
+    outflow.push({ $gte: -max });
+    inflow.push({ $lte: max });
+  }
+
+  if (sign === "outflow") return [{ amount: outflow }];
+  if (sign === "inflow") return [{ amount: inflow }];
+  if (min === null && max === null) return [];
+  return [{ $or: [{ amount: outflow }, { amount: inflow }] }];
+}
+
+// Match a list of IDs on one field without building raw SQL (AQL's $oneof
+// inlines the values into the query string)
+function anyOf(field, ids) {
+  return ids.length > 0 ? [{ $or: ids.map(id => ({ [field]: id })) }] : [];
+}
+
+async function searchTransactions(criteria = {}) {
+  await initBudget();
+
+  const transfers = criteria.transfers || "include";
+  if (!TRANSFER_FILTERS.includes(transfers)) {
+    throw new Error(`Invalid transfers "${transfers}". Use one of: ${TRANSFER_FILTERS.join(", ")}`);
+  }
+
+  const conditions = [
+    dateRangeFilter(criteria.startDate, criteria.endDate),
+    ...amountConditions(criteria),
+    ...anyOf("account", validateIdList(criteria.accounts, "accounts")),
+    ...anyOf("category", validateIdList(criteria.categories, "categories")),
+    ...anyOf("category.group", validateIdList(criteria.categoryGroups, "categoryGroups")),
+  ];
+
+  if (criteria.payee) {
+    const pattern = `%${criteria.payee}%`;
+    conditions.push({
+      $or: [{ "payee.name": { $like: pattern } }, { imported_payee: { $like: pattern } }],
+    });
+  }
+  if (criteria.payeeRegex) {
+    const pattern = validateRegex(criteria.payeeRegex, "payeeRegex");
+    conditions.push({
+      $or: [{ "payee.name": { $regexp: pattern } }, { imported_payee: { $regexp: pattern } }],
+    });
+  }
+  if (criteria.notes) {
+    conditions.push({ notes: { $like: `%${criteria.notes}%` } });
+  }
+  if (criteria.notesRegex) {
+    conditions.push({ notes: { $regexp: validateRegex(criteria.notesRegex, "notesRegex") } });
+  }
+
+  if (criteria.cleared !== undefined) {
+    conditions.push({ cleared: Boolean(criteria.cleared) });
+  }
+  if (criteria.reconciled !== undefined) {
+    conditions.push({ reconciled: Boolean(criteria.reconciled) });
+  }
+
+  if (transfers === "exclude") {
+    conditions.push({ transfer_id: null });
+  } else if (transfers === "only") {
+    conditions.push({ transfer_id: { $ne: null } });
+  }
+
+  // Search split lines individually ("inline"): each child carries its own
+  // category and amount, and parents are left out so nothing is counted twice
+  const filter = { $and: conditions };
+  const [sum] = await runQuery(
+    q("transactions").filter(filter).select([{ amount: { $sum: "$amount" } }])
+  );
+  const page = await queryTransactionPage(filter, criteria, "inline");
+
+  return {
+    ...page,
+    totalAmount: (sum?.amount || 0) / 100,
+  };
+}
+
+async function getBudgetTotals(month) {
+  await initBudget();
+
+  const monthStr = month ? validateMonth(month) : getCurrentMonth();
+  const budgetMonth = await api.getBudgetMonth(monthStr);
+
+  // Get account balances
+  const accounts = await api.getAccounts();
+  let totalBalance = 0;
+
+  for (const account of accounts) {
+    if (!account.offbudget) {
+      const balance = await api.getAccountBalance(account.id);
+      totalBalance += balance;
+    }
+  }
+
+  // The API reports budgeted and spent as negatives, as in formatBudgetMonth
+  const totalBudgeted = -budgetMonth.totalBudgeted;
+  const totalSpent = -budgetMonth.totalSpent;
+
+  return {
+    totalBudgeted: totalBudgeted / 100,
+    totalSpent: totalSpent / 100,
+    totalIncome: budgetMonth.totalIncome / 100,
+    remaining: (totalBudgeted - totalSpent) / 100,
+    totalBalance: totalBalance / 100,
+    month: monthStr,
+  };
+}
+
+// Envelope view of one month. Amounts from the API are in cents with outflows
+// negative; spent is flipped so money out reads as a positive number.
+function formatBudgetMonth(budgetMonth) {
+  let overspent = 0;
+  let overspentCategories = 0;
+
+  const categoryGroups = (budgetMonth.categoryGroups || []).map(group => {
+    if (group.is_income) {
+      return {
+        id: group.id,
+        name: group.name,
+        isIncome: true,
+        hidden: group.hidden || false,
+        received: (group.received || 0) / 100,
+        categories: (group.categories || []).map(c => ({
+          id: c.id,
+          name: c.name,
+          hidden: c.hidden || false,
+          received: (c.received || 0) / 100,
+        })),
+      };
+    }
+
+    const categories = (group.categories || []).map(c => {
+      const budgeted = c.budgeted || 0;
+      const spent = c.spent || 0;
+      const balance = c.balance || 0;
+      if (balance < 0) {
+        overspent += balance;
+        overspentCategories++;
+      }
+
+      return {
+        id: c.id,
+        name: c.name,
+        hidden: c.hidden || false,
+        budgeted: budgeted / 100,
+        spent: -spent / 100,
+        balance: balance / 100,
+        // Balance carried in from last month, and whether overspending rolls over
+        carryover: (balance - budgeted - spent) / 100,
+        rolloverOverspending: Boolean(c.carryover),
+        overspent: balance < 0,
+      };
+    });
+
+    return {
+      id: group.id,
+      name: group.name,
+      isIncome: false,
+      hidden: group.hidden || false,
+      budgeted: (group.budgeted || 0) / 100,
+      spent: -(group.spent || 0) / 100,
+      balance: (group.balance || 0) / 100,
+      categories,
+    };
+  });
+
+  return {
+    month: budgetMonth.month,
+    toBudget: budgetMonth.toBudget / 100,
+    incomeAvailable: budgetMonth.incomeAvailable / 100,
+    totalIncome: budgetMonth.totalIncome / 100,
+    totalBudgeted: -budgetMonth.totalBudgeted / 100,
+    totalSpent: -budgetMonth.totalSpent / 100,
+    totalBalance: budgetMonth.totalBalance / 100,
+    fromLastMonth: budgetMonth.fromLastMonth / 100,
+    lastMonthOverspent: -budgetMonth.lastMonthOverspent / 100,
+    heldForNextMonth: budgetMonth.forNextMonth / 100,
+    overspent: -overspent / 100,
+    overspentCategories,
+    categoryGroups,
+  };
+}
+
+// Refuse months outside the range Actual keeps budget data for
+async function checkBudgetMonth(month) {
+  validateMonth(month);
+
+  const available = await api.getBudgetMonths();
+  if (!available.includes(month)) {
+    throw new Error(`No budget data for ${month}. Budget months available: ${available[0]} to ${available[available.length - 1]}`);
+  }
+  return month;
+}
+
+async function getBudgetMonthReport(month) {
+  await initBudget();
+  await checkBudgetMonth(month);
+
+  return formatBudgetMonth(await api.getBudgetMonth(month));
+}
+
+// Month-by-month summaries over a range, plus per-category totals for the whole range
+async function getBudgetMonthRange(startMonth, endMonth) {
+  await initBudget();
+  validateMonth(startMonth);
+  validateMonth(endMonth);
+  if (startMonth > endMonth) {
+    throw new Error("startMonth must not be after endMonth");
+  }
+
+  const available = new Set(await api.getBudgetMonths());
+  const requested = monthRange(startMonth, endMonth);
+  const months = requested.filter(m => available.has(m));
+  if (months.length === 0) {
+    throw new Error(`No budget data between ${startMonth} and ${endMonth}`);
+  }
+
+  const summaries = [];
+  const categoryTotals = new Map();
+
+  for (const month of months) {
+    const report = formatBudgetMonth(await api.getBudgetMonth(month));
+    const { categoryGroups, ...summary } = report;
+    summaries.push(summary);
+
+    for (const group of categoryGroups) {
+      if (group.isIncome) continue;
+      for (const c of group.categories) {
+        const totals = categoryTotals.get(c.id) || {
+          id: c.id,
+          name: c.name,
+          group: group.name,
+          budgeted: 0,
+          spent: 0,
+          monthsOverspent: 0,
+        };
+        totals.budgeted += c.budgeted;
+        totals.spent += c.spent;
+        totals.endingBalance = c.balance;
+        if (c.overspent) totals.monthsOverspent++;
+        categoryTotals.set(c.id, totals);
+      }
+    }
+  }
+
+  const round = (n) => Math.round(n * 100) / 100;
+
+  return {
+    startMonth: months[0],
+    endMonth: months[months.length - 1],
+    skippedMonths: requested.filter(m => !available.has(m)),
+    months: summaries,
+    categories: [...categoryTotals.values()].map(c => ({
+      ...c,
+      budgeted: round(c.budgeted),
+      spent: round(c.spent),
+      averageSpent: round(c.spent / months.length),
+    })),
+  };
+}
+
+// Income, expenses and transfers are kept apart in every spending figure:
+//  - income: rows in income categories, plus uncategorized money coming in
+//  - expenses: rows in expense categories (refunds reduce them), plus
+//    uncategorized money going out
+//  - transfers: uncategorized rows moving money between two accounts
+// A transfer to or from an off-budget account is categorized in Actual, so it
+// counts as income or expense like any other row. Off-budget accounts are
+// excluded unless includeOffBudget is set.
+function cashFlowConditions(criteria) {
+  const conditions = [
+    dateRangeFilter(criteria.startDate, criteria.endDate),
+    ...anyOf("account", validateIdList(criteria.accounts, "accounts")),
+    ...anyOf("category", validateIdList(criteria.categories, "categories")),
+    ...anyOf("category.group", validateIdList(criteria.categoryGroups, "categoryGroups")),
+  ];
+  if (!criteria.includeOffBudget) {
+    conditions.push({ "account.offbudget": false });
+  }
+  return conditions;
+}
+
+const TRANSFER_CONDITION = { $and: [{ category: null }, { transfer_id: { $ne: null } }] };
+const NOT_TRANSFER_CONDITION = { $or: [{ category: { $ne: null } }, { transfer_id: null }] };
+
+// Inflow and outflow totals in cents per category (null for uncategorized).
+// Split lines are read individually so each child counts under its own category.
+async function sumCategoryFlows(conditions) {
+  const flows = new Map();
+  for (const [field, amount] of [["outflow", { $lt: 0 }], ["inflow", { $gt: 0 }]]) {
+    const rows = await runQuery(
+      q("transactions")
+        .filter({ $and: [...conditions, { amount }] })
+        .groupBy("category")
+        .select(["category", { amount: { $sum: "$amount" } }, { count: { $count: "$id" } }])
+    );
+    for (const row of rows) {
+      const entry = flows.get(row.category) ||
+        { category: row.category, inflow: 0, outflow: 0, inflowCount: 0, outflowCount: 0, count: 0 };
+      entry[field] += row.amount;
+      entry[field + "Count"] += row.count;
+      entry.count += row.count;
+      flows.set(row.category, entry);
+    }
+  }
+  return [...flows.values()];
+}
+
+// Income and expense totals (cents) per category, plus transfers when requested
+async function getCashFlow(criteria) {
+  const conditions = cashFlowConditions(criteria);
+  const categories = new Map((await api.getCategories()).map(c => [c.id, c]));
+
+  const income = [];
+  const expenses = [];
+  for (const flow of await sumCategoryFlows([...conditions, NOT_TRANSFER_CONDITION])) {
+    if (flow.category === null) {
+      // Uncategorized rows are split by direction; each side is counted apart
+      if (flow.outflowCount) expenses.push({ category: null, amount: -flow.outflow, refunds: 0, count: flow.outflowCount });
+      if (flow.inflowCount) income.push({ category: null, amount: flow.inflow, count: flow.inflowCount });
+    } else if (categories.get(flow.category)?.is_income) {
+      income.push({ category: flow.category, amount: flow.inflow + flow.outflow, count: flow.count });
+    } else {
+      expenses.push({ category: flow.category, amount: -(flow.outflow + flow.inflow), refunds: flow.inflow, count: flow.count });
+    }
+  }
+
+  let transfers = null;
+  if (criteria.includeTransfers) {
+    const [flow] = await sumCategoryFlows([...conditions, TRANSFER_CONDITION]);
+    transfers = { in: flow?.inflow || 0, out: -(flow?.outflow || 0), count: flow?.count || 0 };
+  }
+
+  const sum = (rows) => rows.reduce((total, r) => total + r.amount, 0);
+  return {
+    income,
+    expenses,
+    transfers,
+    totalIncome: sum(income),
+    totalExpenses: sum(expenses),
+    categories,
+  };
+}
+
+function formatCashFlowTotals(cashFlow) {
+  return {
+    income: cashFlow.totalIncome / 100,
+    expenses: cashFlow.totalExpenses / 100,
+    net: (cashFlow.totalIncome - cashFlow.totalExpenses) / 100,
+    ...(cashFlow.transfers ? {
+      transfers: {
+        in: cashFlow.transfers.in / 100,
+        out: cashFlow.transfers.out / 100,
+        count: cashFlow.transfers.count,
+      },
+    } : {}),
+  };
+}
+
+async function getSpendingByCategory(filters = {}) {
+  await initBudget();
+
+  // Budgeted amounts come from the requested month; with no explicit dates the
+  // spending range defaults to that month as well
+  const monthStr = filters.month ? validateMonth(filters.month) : getCurrentMonth();
+  const budgetMonth = await api.getBudgetMonth(monthStr);
+  const startDate = filters.startDate || (filters.month ? monthStr + "-01" : undefined);
+  const endDate = filters.endDate || (filters.month ? monthStr + "-31" : undefined);
+
+  // Build a map of category budget data
+  const categoryBudgetMap = {};
+  for (const group of budgetMonth.categoryGroups || []) {
+    for (const category of group.categories || []) {
+      categoryBudgetMap[category.id] = {
+        name: category.name,
+        budgeted: category.budgeted,
+        hidden: category.hidden,
+      };
+    }
+  }
+
+  const cashFlow = await getCashFlow({ ...filters, startDate, endDate });
+  const spending = [];
+
+  for (const row of cashFlow.expenses) {
+    if (row.category === null) {
+      spending.push({
+        id: null,
+        name: "Uncategorized",
+        budgeted: null,
+        spent: row.amount / 100,
+        refunds: 0,
+        balance: null,
+        remaining: null,
+        transactionCount: row.count,
+      });
+      continue;
+    }
+
+    const budgetData = categoryBudgetMap[row.category];
+    if (!budgetData || budgetData.hidden) continue;
+
+    const actualSpent = row.amount / 100;
+    const budgeted = budgetData.budgeted / 100;
+    const balance = budgeted - actualSpent;
+
+    spending.push({
+      id: row.category,
+      name: budgetData.name || "Unknown",
+      budgeted: budgeted,
+      spent: actualSpent,
+      refunds: row.refunds / 100,
+      balance: balance,
+      remaining: balance,
+      transactionCount: row.count,
+    });
+  }
+
+  return {
+    month: monthStr,
+    dateRange: {
+      startDate: startDate || "all time",
+      endDate: endDate || "today",
+    },
+    ...formatCashFlowTotals(cashFlow),
+    categories: spending.sort((a, b) => b.spent - a.spent),
+    incomeCategories: cashFlow.income
+      .map(row => ({
+        id: row.category,
+        name: row.category === null ? "Uncategorized" : cashFlow.categories.get(row.category)?.name || "Unknown",
+        received: row.amount / 100,
+        transactionCount: row.count,
+      }))
+      .sort((a, b) => b.received - a.received),
+  };
+}
+
+// Spending trends
+
+const TREND_INTERVALS = ["month", "week"];
+
+// Field each breakdown groups on, and the lookup that names its keys
+const SPENDING_DIMENSIONS = {
+  total: null,
+  category: { field: "category", lookup: "categories" },
+  group: { field: "category.group", lookup: "categoryGroups" },
+  payee: { field: "payee", lookup: "payees" },
+  account: { field: "account", lookup: "accounts" },
+};
+
+function validateDimension(groupBy) {
+  if (!(groupBy in SPENDING_DIMENSIONS)) {
+    throw new Error(`Invalid groupBy "${groupBy}". Use one of: ${Object.keys(SPENDING_DIMENSIONS).join(", ")}`);
+  }
+  return SPENDING_DIMENSIONS[groupBy];
+}
+
+// Expense rows only, as defined for getCashFlow
+function spendingConditions(criteria) {
+  return [
+    ...cashFlowConditions(criteria),
+    NOT_TRANSFER_CONDITION,
+    {
+      $or: [
+        { $and: [{ category: { $ne: null } }, { "category.is_income": false }] },
+        { $and: [{ category: null }, { amount: { $lt: 0 } }] },
+      ],
+    },
+  ];
+}
+
+// Daily spending totals (in cents, outflows positive) per dimension key.
+// Split lines are read individually so each child counts under its own category.
+async function getDailySpending(criteria, dimension) {
+  const fields = dimension ? ["date", dimension.field] : ["date"];
+  const rows = await runQuery(
+    q("transactions")
+      .filter({ $and: spendingConditions(criteria) })
+      .groupBy(fields)
+      .select([
+        "date",
+        ...(dimension ? [{ key: dimension.field }] : []),
+        { amount: { $sum: "$amount" } },
+      ])
+  );
+
+  return rows.map(row => ({ date: row.date, key: dimension ? row.key : null, spent: -row.amount }));
+}
+
+function weekStart(date) {
+  const d = new Date(date + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(date, count) {
+  const d = new Date(date + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + count);
+  return d.toISOString().slice(0, 10);
+}
+
+function getToday() {
+  const now = new Date();
+  return getCurrentMonth() + "-" + String(now.getDate()).padStart(2, "0");
+}
+
+// Months are keyed "YYYY-MM", weeks by their Monday
+function periodKey(date, interval) {
+  return interval === "week" ? weekStart(date) : date.slice(0, 7);
+}
+
+// Every period touching the range, each flagged when the range only covers part of it
+function listPeriods(startDate, endDate, interval) {
+  const periods = [];
+  let key = periodKey(startDate, interval);
+  while (key <= periodKey(endDate, interval)) {
+    const first = interval === "week" ? key : key + "-01";
+    const next = interval === "week" ? addDays(key, 7) : addMonths(key, 1) + "-01";
+    periods.push({
+      period: key,
+      partial: first < startDate || addDays(next, -1) > endDate,
+    });
+    key = interval === "week" ? next : next.slice(0, 7);
+  }
+  return periods;
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function percentChange(current, previous) {
+  return previous === 0 ? null : roundAmount(((current - previous) / Math.abs(previous)) * 100);
+}
+
+// Period-by-period figures for one series of cent totals. A period is unusual
+// when it sits more than `threshold` standard deviations from the mean of the
+// other complete periods.
+function buildTrendSeries(periods, totals, rollingWindow, threshold) {
+  return periods.map((p, i) => {
+    const spent = totals[i];
+    const previous = i > 0 ? totals[i - 1] : null;
+    const window = totals.slice(Math.max(0, i - rollingWindow + 1), i + 1);
+
+    const others = totals.filter((_, j) => j !== i && !periods[j].partial);
+    const mean = others.length > 0 ? others.reduce((sum, v) => sum + v, 0) / others.length : 0;
+    const stdDev = others.length > 1 ?
+      Math.sqrt(others.reduce((sum, v) => sum + (v - mean) ** 2, 0) / others.length) : 0;
+    const unusual = !p.partial && others.length >= 3 && stdDev > 0 &&
+      Math.abs(spent - mean) > threshold * stdDev;
+
+    return {
+      period: p.period,
+      partial: p.partial,
+      spent: spent / 100,
+      change: previous === null ? null : (spent - previous) / 100,
+      percentChange: previous === null ? null : percentChange(spent, previous),
+      rollingAverage: roundAmount(window.reduce((sum, v) => sum + v, 0) / window.length / 100),
+      unusual,
+      ...(unusual ? { vsAverage: percentChange(spent, mean) } : {}),
+    };
+  });
+}
+
+function getDimensionName(key, dimension, lookups) {
+  if (key === null || key === undefined) {
+    return dimension.field === "payee" ? "No payee" : "Uncategorized";
+  }
+  return lookups[dimension.lookup].get(key)?.name || "Unknown";
+}
+
+async function getSpendingTrend(criteria = {}) {
+  await initBudget();
+
+  const interval = criteria.interval || "month";
+  if (!TREND_INTERVALS.includes(interval)) {
+    throw new Error(`Invalid interval "${interval}". Use one of: ${TREND_INTERVALS.join(", ")}`);
+  }
+  const groupBy = criteria.groupBy || "total";
+  const dimension = validateDimension(groupBy);
+  const rollingWindow = criteria.rollingWindow ?? 3;
+  const threshold = criteria.unusualThreshold ?? 2;
+  const limit = criteria.limit ?? 20;
+  if (!Number.isInteger(rollingWindow) || rollingWindow < 1) {
+    throw new Error("rollingWindow must be a positive integer");
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error("limit must be a positive integer");
+  }
+
+  // Default: the last six months up to today
+  const endDate = criteria.endDate ? validateDate(criteria.endDate, "endDate") : getToday();
+  const startDate = criteria.startDate ?
+    validateDate(criteria.startDate, "startDate") :
+    addMonths(endDate.slice(0, 7), -5) + "-01";
+  if (startDate > endDate) {
+    throw new Error("startDate must not be after endDate");
+  }
+
+  const periods = listPeriods(startDate, endDate, interval);
+  const index = new Map(periods.map((p, i) => [p.period, i]));
+  const rows = await getDailySpending({ ...criteria, startDate, endDate }, dimension);
+
+  const overall = periods.map(() => 0);
+  const byKey = new Map();
+  for (const row of rows) {
+    const i = index.get(periodKey(row.date, interval));
+    overall[i] += row.spent;
+    if (dimension) {
+      if (!byKey.has(row.key)) byKey.set(row.key, periods.map(() => 0));
+      byKey.get(row.key)[i] += row.spent;
+    }
+  }
+
+  const result = {
+    startDate,
+    endDate,
+    interval,
+    groupBy,
+    total: overall.reduce((sum, v) => sum + v, 0) / 100,
+    periods: buildTrendSeries(periods, overall, rollingWindow, threshold),
+  };
+
+  if (dimension) {
+    const lookups = await getNameLookups();
+    const series = [...byKey.entries()]
+      .map(([key, totals]) => ({ key, totals, total: totals.reduce((sum, v) => sum + v, 0) }))
+      .sort((a, b) => b.total - a.total);
+
+    result.seriesCount = series.length;
+    result.series = series.slice(0, limit).map(({ key, totals, total }) => ({
+      id: key,
+      name: getDimensionName(key, dimension, lookups),
+      total: total / 100,
+      average: roundAmount(total / periods.length / 100),
+      periods: buildTrendSeries(periods, totals, rollingWindow, threshold),
+    }));
+  }
+
+  return result;
+}
+
+// Month-over-month (or any two months) spending comparison
+async function compareSpending(criteria = {}) {
+  await initBudget();
+
+  const month = criteria.month ? validateMonth(criteria.month) : getCurrentMonth();
+  const compareTo = criteria.compareTo ? validateMonth(criteria.compareTo) : addMonths(month, -1);
+  const groupBy = criteria.groupBy || "category";
+  const dimension = validateDimension(groupBy);
+
+  // A month in progress is compared with the same days of the other month
+  const today = getToday();
+  const inProgress = month === today.slice(0, 7);
+  const day = inProgress ? today.slice(8) : "31";
+
+  const load = (m) => getDailySpending(
+    { ...criteria, startDate: m + "-01", endDate: m + "-" + day },
+    dimension
+  );
+  const [currentRows, previousRows] = [await load(month), await load(compareTo)];
+
+  const breakdown = new Map();
+  const add = (rows, field) => {
+    for (const row of rows) {
+      const entry = breakdown.get(row.key) || { key: row.key, current: 0, previous: 0 };
+      entry[field] += row.spent;
+      breakdown.set(row.key, entry);
+    }
+  };
+  add(currentRows, "current");
+  add(previousRows, "previous");
+
+  const current = currentRows.reduce((sum, r) => sum + r.spent, 0);
+  const previous = previousRows.reduce((sum, r) => sum + r.spent, 0);
+
+  const result = {
+    month,
+    compareTo,
+    ...(inProgress ? { throughDay: Number(day) } : {}),
+    current: current / 100,
+    previous: previous / 100,
+    change: (current - previous) / 100,
+    percentChange: percentChange(current, previous),
+  };
+
+  if (dimension) {
+    const lookups = await getNameLookups();
+    result.breakdown = [...breakdown.values()]
+      .map(e => ({
+        id: e.key,
+        name: getDimensionName(e.key, dimension, lookups),
+        current: e.current / 100,
+        previous: e.previous / 100,
+        change: (e.current - e.previous) / 100,
+        percentChange: percentChange(e.current, e.previous),
+      }))
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+  }
+
+  return result;
+}
+
+// Mutation tools
+
+async function setCategoryBudget(categoryName, month, amount) {
+  await initBudget();
+
+  const categories = await api.getCategories();
+  const category = categories.find(c => c.name.toLowerCase() === categoryName.toLowerCase());
+
+  if (!category) {
+    throw new Error(`Category "${categoryName}" not found`);
+  }
+
+  validateMonth(month);
+
+  await api.setBudgetAmount(month, category.id, Math.round(amount * 100));
+  await api.sync();
+
+  return {
+    success: true,
+    category: category.name,
+    month: month,
+    newBudget: amount,
+  };
+}
+
+async function setCategoryBudgetById(categoryId, month, amount) {
+  await initBudget();
+
+  const categories = await api.getCategories();
+  const category = categories.find(c => c.id === categoryId);
+
+  if (!category) {
+    throw new Error(`Category with ID "${categoryId}" not found`);
+  }
+
+  validateMonth(month);
+
+  await api.setBudgetAmount(month, categoryId, Math.round(amount * 100));
+  await api.sync();
+
+  return {
+    success: true,
+    category: category.name,
+    month: month,
+    newBudget: amount,
+  };
+}
+
+// Envelope operations
+
+// A month's budget figures for each expense category, in cents, keyed by ID
+function getEnvelopes(budgetMonth) {
+  const envelopes = new Map();
+  for (const group of budgetMonth.categoryGroups || []) {
+    if (group.is_income) continue;
+    for (const c of group.categories || []) {
+      envelopes.set(c.id, {
+        id: c.id,
+        name: c.name,
+        hidden: Boolean(c.hidden || group.hidden),
+        budgeted: c.budgeted || 0,
+        spent: c.spent || 0,
+        balance: c.balance || 0,
+        carryover: Boolean(c.carryover),
+      });
+    }
+  }
+  return envelopes;
+}
+
+function findEnvelope(envelopes, categories, nameOrId) {
+  const category = findCategory(categories, nameOrId);
+  const envelope = envelopes.get(category.id);
+  if (!envelope) {
+    throw new Error(`"${category.name}" is an income category and has no envelope to budget`);
+  }
+  return envelope;
+}
+
+function validateBudgetAmount(amount, name = "amount") {
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`${name} must be a positive number of dollars`);
+  }
+  return Math.round(amount * 100);
+}
+
+// Move money from one envelope to another in a month. Without `from` it comes
+// from To Budget; without `amount` it covers the destination's overspending.
+async function moveBudget({ month, from, to, amount }) {
+  await initBudget();
+  await checkBudgetMonth(month);
+
+  const budgetMonth = await api.getBudgetMonth(month);
+  const envelopes = getEnvelopes(budgetMonth);
+  const categories = await api.getCategories();
+  const target = findEnvelope(envelopes, categories, to);
+  const source = from !== undefined ? findEnvelope(envelopes, categories, from) : null;
+  if (source?.id === target.id) {
+    throw new Error("from and to must be different categories");
+  }
+
+  let cents;
+  if (amount !== undefined) {
+    cents = validateBudgetAmount(amount);
+  } else {
+    if (target.balance >= 0) {
+      throw new Error(`"${target.name}" isn't overspent in ${month}; pass an amount to move`);
+    }
+    cents = -target.balance;
+  }
+
+  const available = source ? source.balance : budgetMonth.toBudget;
+  if (cents > available) {
+    throw new Error(`${source ? `"${source.name}"` : "To Budget"} only has ${Math.max(available, 0) / 100} available in ${month}`);
+  }
+
+  await api.batchBudgetUpdates(async () => {
+    if (source) await api.setBudgetAmount(month, source.id, source.budgeted - cents);
+    await api.setBudgetAmount(month, target.id, target.budgeted + cents);
+  });
+  await api.sync();
+
+  return {
+    success: true,
+    month,
+    amount: cents / 100,
+    from: source ?
+      { category: source.name, budgeted: (source.budgeted - cents) / 100, balance: (source.balance - cents) / 100 } :
+      { toBudget: (budgetMonth.toBudget - cents) / 100 },
+    to: { category: target.name, budgeted: (target.budgeted + cents) / 100, balance: (target.balance + cents) / 100 },
+  };
+}
+
+// Actual applies the flag to the month given and every month after it
+async function setCarryover({ category: categoryNameOrId, month, enabled }) {
+  await initBudget();
+  await checkBudgetMonth(month);
+
+  const envelope = findEnvelope(getEnvelopes(await api.getBudgetMonth(month)), await api.getCategories(), categoryNameOrId);
+  await api.setBudgetCarryover(month, envelope.id, Boolean(enabled));
+  await api.sync();
+
+  return {
+    success: true,
+    category: envelope.name,
+    fromMonth: month,
+    rolloverOverspending: Boolean(enabled),
+  };
+}
+
+async function holdForNextMonth({ month, amount }) {
+  await initBudget();
+  await checkBudgetMonth(month);
+
+  const cents = validateBudgetAmount(amount);
+  const before = await api.getBudgetMonth(month);
+  if (cents > before.toBudget) {
+    throw new Error(`Only ${Math.max(before.toBudget, 0) / 100} is left to budget in ${month}`);
+  }
+
+  await api.holdBudgetForNextMonth(month, cents);
+  await api.sync();
+
+  const after = await api.getBudgetMonth(month);
+  return {
+    success: true,
+    month,
+    held: cents / 100,
+    heldForNextMonth: after.forNextMonth / 100,
+    toBudget: after.toBudget / 100,
+  };
+}
+
+async function resetBudgetHold(month) {
+  await initBudget();
+  await checkBudgetMonth(month);
+
+  const before = await api.getBudgetMonth(month);
+  await api.resetBudgetHold(month);
+  await api.sync();
+
+  const after = await api.getBudgetMonth(month);
+  return {
+    success: true,
+    month,
+    released: before.forNextMonth / 100,
+    toBudget: after.toBudget / 100,
+  };
+}
+
+// Set many envelopes at once. Raising budgets beyond what is left to budget
+// is refused unless allowOverbudget is set.
+async function applyBudgetAmounts(month, budgetMonth, amounts, allowOverbudget) {
+  const changes = amounts.filter(({ envelope, cents }) => cents !== envelope.budgeted);
+  const increase = changes.reduce((sum, { envelope, cents }) => sum + cents - envelope.budgeted, 0);
+  const toBudget = budgetMonth.toBudget - increase;
+
+  if (toBudget < 0 && !allowOverbudget) {
+    throw new Error(
+      `This needs ${increase / 100} more but only ${Math.max(budgetMonth.toBudget, 0) / 100} is left to budget in ${month}. ` +
+      "Pass allowOverbudget: true to set it anyway"
+    );
+  }
+
+  if (changes.length > 0) {
+    await api.batchBudgetUpdates(async () => {
+      for (const { envelope, cents } of changes) {
+        await api.setBudgetAmount(month, envelope.id, cents);
+      }
+    });
+    await api.sync();
+  }
+
+  return {
+    success: true,
+    month,
+    changed: changes.length,
+    totalChange: increase / 100,
+    toBudget: toBudget / 100,
+    categories: changes.map(({ envelope, cents }) => ({
+      category: envelope.name,
+      from: envelope.budgeted / 100,
+      to: cents / 100,
+    })),
+  };
+}
+
+// Envelopes an operation applies to: the named ones, or every visible one
+function selectEnvelopes(envelopes, categories, names) {
+  if (names === undefined) {
+    return [...envelopes.values()].filter(e => !e.hidden);
+  }
+  return validateIdList(names, "categories").map(name => findEnvelope(envelopes, categories, name));
+}
+
+async function copyLastMonthBudget({ month, categories: names, overwrite = false, allowOverbudget = false }) {
+  await initBudget();
+  await checkBudgetMonth(month);
+  await checkBudgetMonth(addMonths(month, -1));
+
+  const budgetMonth = await api.getBudgetMonth(month);
+  const envelopes = getEnvelopes(budgetMonth);
+  const lastMonth = getEnvelopes(await api.getBudgetMonth(addMonths(month, -1)));
+
+  const amounts = selectEnvelopes(envelopes, await api.getCategories(), names)
+    .filter(envelope => overwrite || envelope.budgeted === 0)
+    .map(envelope => ({ envelope, cents: lastMonth.get(envelope.id)?.budgeted || 0 }));
+
+  return applyBudgetAmounts(month, budgetMonth, amounts, allowOverbudget);
+}
+
+async function setBudgetToAverage({ month, months = 3, categories: names, overwrite = true, allowOverbudget = false }) {
+  await initBudget();
+  await checkBudgetMonth(month);
+  if (!Number.isInteger(months) || months < 1 || months > 24) {
+    throw new Error("months must be between 1 and 24");
+  }
+
+  const budgetMonth = await api.getBudgetMonth(month);
+  const envelopes = getEnvelopes(budgetMonth);
+
+  // Spending in the N months before `month`; months without budget data count as nothing spent
+  const available = new Set(await api.getBudgetMonths());
+  const spent = new Map();
+  for (let i = 1; i <= months; i++) {
+    const previous = addMonths(month, -i);
+    if (!available.has(previous)) continue;
+    for (const e of getEnvelopes(await api.getBudgetMonth(previous)).values()) {
+      spent.set(e.id, (spent.get(e.id) || 0) - e.spent);
+    }
+  }
+
+  const amounts = selectEnvelopes(envelopes, await api.getCategories(), names)
+    .filter(envelope => overwrite || envelope.budgeted === 0)
+    .map(envelope => ({ envelope, cents: Math.max(Math.round((spent.get(envelope.id) || 0) / months), 0) }));
+
+  return {
+    ...(await applyBudgetAmounts(month, budgetMonth, amounts, allowOverbudget)),
+    averagedMonths: { from: addMonths(month, -months), to: addMonths(month, -1) },
+  };
+}
+
+async function updateTransaction(transactionId, updates) {
+  await initBudget();
+
+  const transaction = await findTransaction(transactionId);
+
+  if (!transaction) {
+    throw new Error(`Transaction with ID "${transactionId}" not found`);
+  }
+
+  // Build payload - filter out undefined values, pass field names as-is
+  const payload = {};
+  if (updates.payee !== undefined) payload.payee = updates.payee;
+  if (updates.category !== undefined) payload.category = updates.category;
+  if (updates.amount !== undefined) payload.amount = Math.round(updates.amount * 100);
+  if (updates.date !== undefined) payload.date = updates.date;
+  if (updates.notes !== undefined) payload.notes = updates.notes;
+
+  // Only update if there are actual changes
+  if (Object.keys(payload).length === 0) {
+    throw new Error(`No valid fields provided to update`);
+  }
+
+  await api.batchBudgetUpdates(async () => {
+    await api.updateTransaction(transactionId, payload);
+  });
+
+  return {
+    success: true,
+    transactionId,
+    updatedFields: Object.keys(payload),
+  };
+}
+
+async function setTransactionCategory(transactionId, categoryNameOrId) {
+  await initBudget();
+
+  const transaction = await findTransaction(transactionId);
+
+  if (!transaction) {
+    throw new Error(`Transaction with ID "${transactionId}" not found`);
+  }
+
+  const category = findCategory(await api.getCategories(), categoryNameOrId);
+
+  await api.updateTransaction(transactionId, { category: category.id });
+  await api.sync();
+
+  return {
+    success: true,
+    transactionId,
+    category: category.name,
+  };
+}
+
+// Bulk updates
+
+const MAX_BULK_UPDATE = 1000;
+const BULK_PREVIEW_ROWS = 50;
+
+// Rows picked by a bulk update filter. Split lines are matched individually
+// (their parents carry no category), and transfers are never matched.
+async function findBulkUpdateRows(filter, accounts) {
+  const conditions = [dateRangeFilter(filter.startDate, filter.endDate), { transfer_id: null }];
+
+  if (filter.account) {
+    conditions.push({ account: findAccount(accounts, filter.account).id });
+  }
+  if (filter.uncategorizedOnly) {
+    conditions.push({ category: null });
+  }
+  if (filter.category) {
+    conditions.push({ category: findCategory(await api.getCategories(), filter.category).id });
+  }
+  if (filter.payee) {
+    const pattern = `%${filter.payee}%`;
+    conditions.push({
+      $or: [{ "payee.name": { $like: pattern } }, { imported_payee: { $like: pattern } }],
+    });
+  }
+  if (conditions.length === 2 && !filter.startDate && !filter.endDate) {
+    throw new Error("filter needs at least one of: payee, account, category, uncategorizedOnly, startDate, endDate");
+  }
+
+  return runQuery(
+    q("transactions")
+      .filter({ $and: conditions })
+      .options({ splits: "inline" })
+      .select("*")
+      .orderBy([{ date: "desc" }])
+      .limit(MAX_BULK_UPDATE + 1)
+  );
+}
+
+// An explicit ID list must name at least one transaction; an empty one would
+// otherwise filter on nothing and match the whole budget
+function validateTransactionIds(transactionIds) {
+  const ids = validateIdList(transactionIds, "transactionIds");
+  if (ids.length === 0) {
+    throw new Error("transactionIds must not be empty");
+  }
+  return ids;
+}
+
+async function findTransactionsById(ids) {
+  if (ids.length === 0) return [];
+
+  const rows = await runQuery(
+    q("transactions")
+      .filter({ $and: anyOf("id", ids) })
+      .options({ splits: "all" })
+      .select("*")
+  );
+
+  const found = new Set(rows.map(t => t.id));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    throw new Error(`Transactions not found: ${missing.join(", ")}`);
+  }
+  return rows;
+}
+
+// Set the same fields on many transactions. Without confirm this only reports
+// what would change; with confirm every update runs in one batch followed by a
+// single sync.
+async function bulkUpdateTransactions(request = {}) {
+  await initBudget();
+
+  const { transactionIds, filter, set = {}, confirm = false } = request;
+  if ((transactionIds === undefined) === (filter === undefined)) {
+    throw new Error("Pass either transactionIds or filter");
+  }
+  const ids = transactionIds !== undefined ? validateTransactionIds(transactionIds) : null;
+
+  const fields = {};
+  const changes = {};
+
+  if (set.category !== undefined) {
+    const category = findCategory(await api.getCategories(), set.category);
+    fields.category = category.id;
+    changes.category = category.name;
+  }
+  if (set.notes !== undefined) {
+    fields.notes = set.notes;
+    changes.notes = set.notes;
+  }
+  if (set.cleared !== undefined) {
+    fields.cleared = Boolean(set.cleared);
+    changes.cleared = fields.cleared;
+  }
+  if (Object.keys(changes).length === 0 && set.payee === undefined) {
+    throw new Error("set must include at least one of: category, payee, notes, cleared");
+  }
+
+  const accounts = await api.getAccounts();
+  const rows = ids ? await findTransactionsById(ids) : await findBulkUpdateRows(filter, accounts);
+
+  if (rows.length > MAX_BULK_UPDATE) {
+    throw new Error(`More than ${MAX_BULK_UPDATE} transactions match. Narrow the filter and run it in parts`);
+  }
+  if (fields.category !== undefined) {
+    const parent = rows.find(t => t.is_parent);
+    if (parent) {
+      throw new Error(`Transaction "${parent.id}" is split; categorize its lines instead`);
+    }
+  }
+
+  // Resolved only once the rows are known, so a failed call creates no payee
+  if (set.payee !== undefined) {
+    const payee = (await resolvePayees([String(set.payee).trim()], { dryRun: !confirm })).values().next().value;
+    if (payee.id) fields.payee = payee.id;
+    changes.payee = payee.name;
+    if (payee.created) changes.newPayee = true;
+  }
+
+  const lookups = await getNameLookups();
+
+  if (!confirm) {
+    return {
+      dryRun: true,
+      matched: rows.length,
+      changes,
+      preview: rows.slice(0, BULK_PREVIEW_ROWS).map(t => formatTransaction(t, lookups)),
+      previewTruncated: rows.length > BULK_PREVIEW_ROWS,
+      message: rows.length > 0 ?
+        "Nothing was changed. Call again with confirm: true to apply these changes" :
+        "No transactions match",
+    };
+  }
+
+  await api.batchBudgetUpdates(async () => {
+    for (const t of rows) {
+      await api.updateTransaction(t.id, fields);
+    }
+  });
+  if (rows.length > 0) await api.sync();
+
+  const suggestedRule = fields.category ? suggestCategoryRule(filter, rows, changes.category, lookups) : null;
+
+  return {
+    dryRun: false,
+    updated: rows.length,
+    changes,
+    transactionIds: rows.map(t => t.id),
+    ...(suggestedRule ? {
+      suggestedRule,
+      message: "Offer to call create_rule with suggestedRule so future transactions from this payee are categorized automatically",
+    } : {}),
+  };
+}
+
+// After a bulk categorization, the create_rule arguments that would repeat it
+// for future transactions: the payee text the filter matched, or the one payee
+// all the picked transactions share
+function suggestCategoryRule(filter, rows, category, lookups) {
+  if (filter?.payee) {
+    // The filter also matched payee names, but a rule can only match text on
+    // imported_payee; rows entered by hand have none, so their payees are
+    // matched by ID instead
+    const manualPayees = [...new Set(rows.filter(t => !t.imported_payee && t.payee).map(t => t.payee))];
+    if (manualPayees.length === 0) {
+      return { payee: filter.payee, match: "contains", matchImportedPayee: true, category };
+    }
+    if (manualPayees.length === 1 && rows.every(t => !t.imported_payee)) {
+      return { payee: lookups.payees.get(manualPayees[0])?.name || manualPayees[0], match: "is", category };
+    }
+    return {
+      conditionsOp: "or",
+      conditions: [
+        { field: "imported_payee", op: "contains", value: filter.payee, type: "string" },
+        { field: "payee", op: "oneOf", value: manualPayees, type: "id" },
+      ],
+      category,
+    };
+  }
+
+  const payees = new Set(rows.map(t => t.payee));
+  if (payees.size === 1 && !payees.has(null)) {
+    const payee = lookups.payees.get([...payees][0]);
+    if (payee && !payee.transfer_acct) {
+      return { payee: payee.name, match: "is", category };
+    }
+  }
+  return null;
+}
+
+// Rules
+
+const RULE_MATCH_OPS = ["is", "contains", "matches"];
+// A rule's payee field holds the payee ID, so only these ops can match it;
+// payee text is matched through imported_payee
+const RULE_PAYEE_ID_OPS = ["is", "isNot", "oneOf", "notOneOf"];
+const RULE_STAGES = ["pre", "default", "post"];
+// Transaction fields apply_rules copies from the rules' result
+const RULE_APPLY_FIELDS = ["payee", "category", "notes", "cleared"];
+
+// Rule fields whose values are IDs, and the lookup that names them
+const RULE_ID_FIELDS = {
+  payee: "payees",
+  category: "categories",
+  category_group: "categoryGroups",
+  account: "accounts",
+};
+
+function describeRuleValue(field, value, lookups) {
+  const lookup = lookups[RULE_ID_FIELDS[field]];
+  if (!lookup) return value;
+  const name = (v) => (typeof v === "string" && lookup.has(v) ? lookup.get(v).name : v);
+  return Array.isArray(value) ? value.map(name) : name(value);
+}
+
+function formatRule(rule, lookups) {
+  const describe = (item) => {
+    const valueName = describeRuleValue(item.field, item.value, lookups);
+    return {
+      field: item.field || null,
+      op: item.op,
+      value: item.value,
+      ...(valueName !== item.value ? { valueName } : {}),
+    };
+  };
+  const conditions = (rule.conditions || []).map(describe);
+  const actions = (rule.actions || []).map(describe);
+
+  const text = (item) => `${item.field} ${item.op} ${JSON.stringify(item.valueName ?? item.value)}`;
+  const joiner = rule.conditionsOp === "or" ? " or " : " and ";
+
+  return {
+    id: rule.id,
+    stage: rule.stage || "default",
+    conditionsOp: rule.conditionsOp || "and",
+    conditions,
+    actions,
+    summary: `If ${conditions.map(text).join(joiner) || "always"} then ${actions.map(a => a.field ? `set ${a.field} to ${JSON.stringify(a.valueName ?? a.value)}` : a.op).join(", ")}`,
+  };
+}
+
+async function findRule(ruleId) {
+  const rule = (await api.getRules()).find(r => r.id === ruleId);
+  if (!rule) {
+    throw new Error(`Rule "${ruleId}" not found`);
+  }
+  return rule;
+}
+
+async function listRules(options = {}) {
+  await initBudget();
+
+  let rules;
+  if (options.payee) {
+    const payee = findPayee(await api.getPayees(), options.payee);
+    rules = await api.getPayeeRules(payee.id);
+  } else {
+    rules = await api.getRules();
+  }
+
+  const lookups = await getNameLookups();
+  return rules.map(rule => formatRule(rule, lookups));
+}
+
+// Build rule conditions and actions from tool arguments. The simple form is a
+// payee match plus a category and/or payee rename; raw `conditions` and
+// `actions` arrays in Actual's own format are passed through as given.
+// Only the parts present in `input` are returned, so updates keep the rest.
+async function buildRuleParts(input) {
+  const parts = {};
+
+  if (input.stage !== undefined) {
+    if (!RULE_STAGES.includes(input.stage)) {
+      throw new Error(`Invalid stage "${input.stage}". Use one of: ${RULE_STAGES.join(", ")}`);
+    }
+    parts.stage = input.stage === "default" ? null : input.stage;
+  }
+  if (input.conditionsOp !== undefined) {
+    if (input.conditionsOp !== "and" && input.conditionsOp !== "or") {
+      throw new Error(`Invalid conditionsOp "${input.conditionsOp}". Use "and" or "or"`);
+    }
+    parts.conditionsOp = input.conditionsOp;
+  }
+
+  if (input.conditions !== undefined) {
+    const textMatch = Array.isArray(input.conditions) &&
+      input.conditions.find(c => c?.field === "payee" && !RULE_PAYEE_ID_OPS.includes(c.op));
+    if (textMatch) {
+      throw new Error(`A payee condition can't use "${textMatch.op}": it compares payee IDs. ` +
+        `Use ${RULE_PAYEE_ID_OPS.join(", ")}, or field "imported_payee" to match payee text`);
+    }
+    parts.conditions = input.conditions;
+  } else if (input.payee !== undefined) {
+    const match = input.match || "is";
+    if (!RULE_MATCH_OPS.includes(match)) {
+      throw new Error(`Invalid match "${match}". Use one of: ${RULE_MATCH_OPS.join(", ")}`);
+    }
+
+    // Partial and regex matches need text, which only imported_payee has
+    const field = input.matchImportedPayee || match !== "is" ? "imported_payee" : "payee";
+    let value = input.payee;
+    if (match === "matches") {
+      validateRegex(value, "payee pattern");
+    }
+    if (field === "payee" && match === "is") {
+      // An exact payee match is stored as the payee's ID
+      const payees = await api.getPayees();
+      const payee = payees.find(p => p.id === value) ||
+        payees.find(p => p.name.toLowerCase() === String(value).toLowerCase());
+      if (!payee) {
+        throw new Error(`Payee "${value}" not found. Use match "contains" to match part of the bank's payee text`);
+      }
+      value = payee.id;
+    }
+    parts.conditions = [{ field, op: match, value, type: field === "payee" && match === "is" ? "id" : "string" }];
+  }
+
+  if (input.actions !== undefined) {
+    parts.actions = input.actions;
+  } else if (input.category !== undefined || input.renameTo !== undefined) {
+    parts.actions = [];
+    if (input.category !== undefined) {
+      const category = findCategory(await api.getCategories(), input.category);
+      parts.actions.push({ op: "set", field: "category", value: category.id, type: "id" });
+    }
+    if (input.renameTo !== undefined) {
+      const [payee] = (await resolvePayees([String(input.renameTo).trim()])).values();
+      parts.actions.push({ op: "set", field: "payee", value: payee.id, type: "id" });
+      // Actual runs payee renames before other rules, so later rules see the clean name
+      if (input.category === undefined && parts.stage === undefined) {
+        parts.stage = "pre";
+      }
+    }
+  }
+
+  return parts;
+}
+
+async function createRule(input) {
+  await initBudget();
+
+  const parts = await buildRuleParts(input);
+  if (!parts.conditions || parts.conditions.length === 0) {
+    throw new Error("A rule needs a condition: pass payee (with match) or conditions");
+  }
+  if (!parts.actions || parts.actions.length === 0) {
+    throw new Error("A rule needs an action: pass category, renameTo or actions");
+  }
+
+  const rule = await api.createRule({
+    stage: null,
+    conditionsOp: "and",
+    ...parts,
+  });
+  await api.sync();
+
+  return {
+    success: true,
+    rule: formatRule(rule, await getNameLookups()),
+  };
+}
+
+async function updateRule(ruleId, input) {
+  await initBudget();
+
+  const existing = await findRule(ruleId);
+  const parts = await buildRuleParts(input);
+  if (Object.keys(parts).length === 0) {
+    throw new Error("Nothing to update: pass payee, category, renameTo, conditions, actions, conditionsOp or stage");
+  }
+
+  const rule = await api.updateRule({ ...existing, ...parts });
+  await api.sync();
+
+  return {
+    success: true,
+    rule: formatRule(rule, await getNameLookups()),
+  };
+}
+
+async function deleteRule(ruleId) {
+  await initBudget();
+
+  const rule = await findRule(ruleId);
+  await api.deleteRule(rule.id);
+  await api.sync();
+
+  return {
+    success: true,
+    ruleId,
+  };
+}
+
+// Run every rule against existing transactions, the way "Apply rules" does in
+// Actual. Only payee, category, notes and cleared changes are written; like
+// bulk_update_transactions this previews unless confirm is true.
+async function applyRules(request = {}) {
+  await initBudget();
+
+  const { transactionIds, filter, confirm = false } = request;
+  if ((transactionIds === undefined) === (filter === undefined)) {
+    throw new Error("Pass either transactionIds or filter");
+  }
+
+  const rows = transactionIds !== undefined ?
+    await findTransactionsById(validateTransactionIds(transactionIds)) :
+    await findBulkUpdateRows(filter, await api.getAccounts());
+  if (rows.length > MAX_BULK_UPDATE) {
+    throw new Error(`More than ${MAX_BULK_UPDATE} transactions match. Narrow the filter and run it in parts`);
+  }
+
+  const lookups = await getNameLookups();
+  const describe = (field, value) => describeRuleValue(field, value, lookups) ?? null;
+  const updates = [];
+
+  for (const t of rows) {
+    if (t.is_parent) continue;
+
+    // The API has no public call for this, so use the handler the Actual app
+    // itself calls; it returns the transaction with rules applied, unsaved
+    const result = await api.internal.send("rules-run", { transaction: t });
+
+    const fields = {};
+    const changes = {};
+    for (const field of RULE_APPLY_FIELDS) {
+      if (result[field] !== undefined && result[field] !== t[field]) {
+        fields[field] = result[field];
+        changes[field] = { from: describe(field, t[field]), to: describe(field, result[field]) };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      updates.push({ transaction: t, fields, changes });
+    }
+  }
+
+  const changed = updates.map(u => ({
+    id: u.transaction.id,
+    date: u.transaction.date,
+    payee: getPayeeName(u.transaction, lookups),
+    amount: u.transaction.amount / 100,
+    changes: u.changes,
+  }));
+
+  if (!confirm) {
+    return {
+      dryRun: true,
+      checked: rows.length,
+      wouldChange: updates.length,
+      preview: changed.slice(0, BULK_PREVIEW_ROWS),
+      previewTruncated: changed.length > BULK_PREVIEW_ROWS,
+      message: updates.length > 0 ?
+        "Nothing was changed. Call again with confirm: true to apply these changes" :
+        "No rule changes any of these transactions",
+    };
+  }
+
+  await api.batchBudgetUpdates(async () => {
+    for (const u of updates) {
+      await api.updateTransaction(u.transaction.id, u.fields);
+    }
+  });
+  if (updates.length > 0) await api.sync();
+
+  return {
+    dryRun: false,
+    checked: rows.length,
+    updated: updates.length,
+    transactions: changed,
+  };
+}
+
+// Find a category by ID, or by name ignoring case
+function findCategory(categories, categoryNameOrId) {
+  const category = categories.find(c => c.id === categoryNameOrId) ||
+    categories.find(c => c.name.toLowerCase() === String(categoryNameOrId).toLowerCase());
+
+  if (!category) {
+    throw new Error(`Category "${categoryNameOrId}" not found`);
+  }
+  return category;
+}
+
+// Find a payee by ID, or by name ignoring case
+function findPayee(payees, nameOrId) {
+  const payee = payees.find(p => p.id === nameOrId) ||
+    payees.find(p => p.name.toLowerCase() === String(nameOrId).toLowerCase());
+  if (!payee) {
+    throw new Error(`Payee "${nameOrId}" not found`);
+  }
+  return payee;
+}
+
+// Transaction count and last transaction date per payee ID. Split lines
+// share their parent's payee, so only parents are counted.
+async function getPayeeUsage() {
+  const rows = await runQuery(
+    q("transactions")
+      .filter({ payee: { $ne: null } })
+      .options({ splits: "none" })
+      .groupBy(["payee", "date"])
+      .select(["payee", "date", { count: { $count: "$id" } }])
+  );
+
+  const usage = new Map();
+  for (const row of rows) {
+    const entry = usage.get(row.payee) || { transactionCount: 0, lastUsed: null };
+    entry.transactionCount += row.count;
+    if (!entry.lastUsed || row.date > entry.lastUsed) entry.lastUsed = row.date;
+    usage.set(row.payee, entry);
+  }
+  return usage;
+}
+
+function formatPayee(payee, usage, accounts) {
+  const { transactionCount = 0, lastUsed = null } = usage.get(payee.id) || {};
+  return {
+    id: payee.id,
+    name: payee.name,
+    // Transfer payees stand for one of your accounts and can't be renamed or merged
+    isTransfer: Boolean(payee.transfer_acct),
+    ...(payee.transfer_acct ? {
+      transferAccount: payee.transfer_acct,
+      transferAccountName: accounts.get(payee.transfer_acct)?.name || null,
+    } : {}),
+    transactionCount,
+    lastUsed,
+  };
+}
+
+async function getPayees(options = {}) {
+  await initBudget();
+
+  const { search, sortBy = "name", includeTransfers = true, unusedOnly = false } = options;
+  if (!["name", "transactionCount", "lastUsed"].includes(sortBy)) {
+    throw new Error(`Invalid sortBy "${sortBy}". Use one of: name, transactionCount, lastUsed`);
+  }
+
+  const usage = await getPayeeUsage();
+  const { accounts } = await getNameLookups();
+
+  let payees = (await api.getPayees()).map(p => formatPayee(p, usage, accounts));
+  if (search) {
+    const text = search.toLowerCase();
+    payees = payees.filter(p => p.name.toLowerCase().includes(text));
+  }
+  if (!includeTransfers) payees = payees.filter(p => !p.isTransfer);
+  if (unusedOnly) payees = payees.filter(p => p.transactionCount === 0);
+
+  const compare = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    transactionCount: (a, b) => b.transactionCount - a.transactionCount,
+    lastUsed: (a, b) => (b.lastUsed || "").localeCompare(a.lastUsed || ""),
+  }[sortBy];
+  return payees.sort(compare);
+}
+
+// Consonants of a name's first word, so a bank's "AMZN" lines up with
+// "Amazon". Short words are left out: too many of them collide.
+function payeeSkeleton(name) {
+  const firstWord = payeeKey(name)?.split(" ")[0];
+  if (!firstWord) return null;
+  const skeleton = firstWord[0] + firstWord.slice(1).replace(/[aeiouy]/g, "");
+  return skeleton.length >= 4 ? skeleton : null;
+}
+
+// Groups of payees that are probably the same merchant: the same first two
+// significant words (see payeeKey), or the same consonants in the first word
+async function findDuplicatePayees() {
+  await initBudget();
+
+  const usage = await getPayeeUsage();
+  const { accounts } = await getNameLookups();
+  const payees = (await api.getPayees())
+    .filter(p => !p.transfer_acct)
+    .map(p => formatPayee(p, usage, accounts));
+
+  const byKey = (keyOf) => {
+    const lists = new Map();
+    for (const p of payees) {
+      const key = keyOf(p);
+      if (key) lists.set(key, [...(lists.get(key) || []), p]);
+    }
+    return [...lists.values()];
+  };
+  const isAbbreviation = (p) => {
+    const firstWord = payeeKey(p.name)?.split(" ")[0];
+    return firstWord === payeeSkeleton(p.name);
+  };
+
+  // Union-find over payees that share words, or a spelling where one of
+  // them is an abbreviation of the others
+  const parent = new Map(payees.map(p => [p.id, p.id]));
+  const root = (id) => (parent.get(id) === id ? id : root(parent.get(id)));
+  const reasons = new Map();
+  const link = (list, reason) => {
+    const a = root(list[0].id);
+    const merged = new Set([...(reasons.get(a) || []), reason]);
+    for (const p of list.slice(1)) {
+      const b = root(p.id);
+      for (const r of reasons.get(b) || []) merged.add(r);
+      if (b !== a) parent.set(b, a);
+    }
+    reasons.set(a, merged);
+  };
+
+  for (const list of byKey(p => payeeKey(p.name))) {
+    if (list.length > 1) link(list, "same words");
+  }
+  for (const list of byKey(p => payeeSkeleton(p.name))) {
+    if (list.length > 1 && list.some(isAbbreviation)) link(list, "abbreviated name");
+  }
+
+  const groups = new Map();
+  for (const p of payees) {
+    const id = root(p.id);
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(p);
+  }
+
+  const duplicates = [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([id, members]) => {
+      members.sort((a, b) => b.transactionCount - a.transactionCount || a.name.length - b.name.length);
+      return {
+        // The most used payee is the likely one to keep
+        suggestedTarget: { id: members[0].id, name: members[0].name },
+        reasons: [...(reasons.get(id) || [])],
+        payees: members,
+      };
+    })
+    .sort((a, b) => b.payees.length - a.payees.length);
+
+  return {
+    groups: duplicates.length,
+    duplicates,
+    message: duplicates.length > 0 ?
+      "These are guesses from the names alone. Confirm each group with the user before calling merge_payees" :
+      "No likely duplicate payees found",
+  };
+}
+
+async function renamePayee(payeeNameOrId, name) {
+  await initBudget();
+
+  const newName = String(name ?? "").trim();
+  if (!newName) {
+    throw new Error("name is required");
+  }
+
+  const payees = await api.getPayees();
+  const payee = findPayee(payees, payeeNameOrId);
+  if (payee.transfer_acct) {
+    throw new Error(`"${payee.name}" is a transfer payee; rename the account instead`);
+  }
+  const existing = payees.find(p => p.id !== payee.id && p.name.toLowerCase() === newName.toLowerCase());
+  if (existing) {
+    throw new Error(`A payee named "${existing.name}" already exists. Use merge_payees to combine them`);
+  }
+
+  await api.updatePayee(payee.id, { name: newName });
+  await api.sync();
+
+  return {
+    success: true,
+    payeeId: payee.id,
+    oldName: payee.name,
+    name: newName,
+  };
+}
+
+// Merge payees into a target: their transactions and rules move to the
+// target and the merged payees are deleted
+async function mergePayees(target, merge) {
+  await initBudget();
+
+  if (!Array.isArray(merge) || merge.length === 0) {
+    throw new Error("merge must list at least one payee");
+  }
+
+  const payees = await api.getPayees();
+  const targetPayee = findPayee(payees, target);
+  const mergePayeeList = [...new Map(merge.map(nameOrId => {
+    const p = findPayee(payees, nameOrId);
+    return [p.id, p];
+  })).values()];
+
+  for (const p of [targetPayee, ...mergePayeeList]) {
+    if (p.transfer_acct) {
+      throw new Error(`"${p.name}" is a transfer payee and can't be merged`);
+    }
+  }
+  if (mergePayeeList.some(p => p.id === targetPayee.id)) {
+    throw new Error("The target payee can't also be merged into itself");
+  }
+
+  const usage = await getPayeeUsage();
+  const moved = mergePayeeList.reduce((sum, p) => sum + (usage.get(p.id)?.transactionCount || 0), 0);
+
+  await api.mergePayees(targetPayee.id, mergePayeeList.map(p => p.id));
+  await api.sync();
+
+  return {
+    success: true,
+    target: { id: targetPayee.id, name: targetPayee.name },
+    merged: mergePayeeList.map(p => ({ id: p.id, name: p.name })),
+    transactionsMoved: moved,
+  };
+}
+
+// Transactions in the same account with the same amount this many days apart
+// or less are reported as possible duplicates
+const DUPLICATE_WINDOW_DAYS = 3;
+const MAX_BATCH_SIZE = 500;
+
+// Resolve payee names to existing payees (ignoring case), creating the ones
+// that don't exist yet. Names of accounts are refused: paying an account means
+// a transfer, which create_transfer handles.
+async function resolvePayees(names, { dryRun = false } = {}) {
+  const payees = await api.getPayees();
+  const resolved = new Map();
+
+  for (const name of names) {
+    const key = name.toLowerCase();
+    if (resolved.has(key)) continue;
+
+    // An account name wins over a plain payee that happens to share it
+    const matches = payees.filter(p => p.name.toLowerCase() === key);
+    if (matches.some(p => p.transfer_acct)) {
+      throw new Error(`"${name}" is one of your accounts. Use create_transfer to move money between accounts`);
+    }
+    if (matches.length > 0) {
+      resolved.set(key, { id: matches[0].id, name: matches[0].name, created: false });
+    } else {
+      const id = dryRun ? null : await api.createPayee({ name });
+      resolved.set(key, { id, name, created: true });
+    }
+  }
+
+  return resolved;
+}
+
+// Check and convert one transaction from a tool call. Nothing is written here,
+// so a batch with one bad entry fails before any of it is created.
+function prepareTransaction(transaction, accounts, categories, position = "") {
+  try {
+    const account = findAccount(accounts, transaction.account);
+    if (account.closed) {
+      throw new Error(`Account "${account.name}" is closed`);
+    }
+    if (typeof transaction.amount !== "number" || !Number.isFinite(transaction.amount)) {
+      throw new Error("amount must be a number");
+    }
+    if (typeof transaction.payee !== "string" || !transaction.payee.trim()) {
+      throw new Error("payee is required");
+    }
+
+    return {
+      account: account.id,
+      accountName: account.name,
+      payeeName: transaction.payee.trim(),
+      amount: Math.round(transaction.amount * 100),
+      date: validateDate(transaction.date),
+      category: transaction.category ? findCategory(categories, transaction.category).id : null,
+      notes: transaction.notes || null,
+      importedId: transaction.imported_id || null,
+      cleared: transaction.cleared,
+    };
+  } catch (error) {
+    throw new Error(position + error.message);
+  }
+}
+
+async function findImportedTransaction(accountId, importedId) {
+  const [existing] = await runQuery(
+    q("transactions")
+      .filter({ account: accountId, imported_id: importedId })
+      .options({ splits: "all" })
+      .select(["id", "date", "amount"])
+  );
+  return existing || null;
+}
+
+// Existing transactions in the same account with the same amount a few days
+// either side of the new one
+async function findPossibleDuplicates(payload, lookups) {
+  const rows = await runQuery(
+    q("transactions")
+      .filter({
+        account: payload.account,
+        amount: payload.amount,
+        ...dateRangeFilter(addDays(payload.date, -DUPLICATE_WINDOW_DAYS), addDays(payload.date, DUPLICATE_WINDOW_DAYS)),
+      })
+      .select("*")
+      .limit(5)
+  );
+
+  return rows.map(t => ({
+    id: t.id,
+    date: t.date,
+    payee: getPayeeName(t, lookups),
+    amount: t.amount / 100,
+    notes: t.notes || "",
+  }));
+}
+
+// Create many transactions in one call. Every entry is validated first; entries
+// whose imported_id already exists in the account are skipped so retries are
+// safe. Each new transaction gets its ID up front, so the returned IDs are
+// exactly the rows that were written.
+async function createTransactions(transactions) {
+  await initBudget();
+
+  if (!Array.isArray(transactions) || transactions.length === 0) {
+    throw new Error("transactions must be a non-empty array");
+  }
+  if (transactions.length > MAX_BATCH_SIZE) {
+    throw new Error(`At most ${MAX_BATCH_SIZE} transactions can be created per call`);
+  }
+
+  const accounts = await api.getAccounts();
+  const categories = await api.getCategories();
+  const prepared = transactions.map((t, i) =>
+    prepareTransaction(t, accounts, categories, transactions.length > 1 ? `Transaction ${i + 1}: ` : "")
+  );
+
+  const lookups = await getNameLookups();
+  const results = [];
+  const toCreate = [];
+  // Per account, imported IDs already queued in this batch, mapped to their new transaction
+  const queuedImports = new Map();
+
+  for (const [index, payload] of prepared.entries()) {
+    if (payload.importedId) {
+      const queued = queuedImports.get(payload.account) || new Map();
+      queuedImports.set(payload.account, queued);
+      const existingId = queued.get(payload.importedId) ||
+        (await findImportedTransaction(payload.account, payload.importedId))?.id;
+      if (existingId) {
+        results.push({
+          index,
+          transactionId: existingId,
+          created: false,
+          reason: `imported_id "${payload.importedId}" already exists in ${payload.accountName}`,
+        });
+        continue;
+      }
+    }
+
+    const possibleDuplicates = await findPossibleDuplicates(payload, lookups);
+    // Earlier entries of this batch count as well
+    for (const other of toCreate) {
+      if (other.payload.account === payload.account && other.payload.amount === payload.amount &&
+          Math.abs(Date.parse(other.payload.date) - Date.parse(payload.date)) <= DUPLICATE_WINDOW_DAYS * 86400000) {
+        possibleDuplicates.push({ id: other.id, date: other.payload.date, payee: other.payload.payeeName, amount: payload.amount / 100, inBatch: true });
+      }
+    }
+
+    const entry = { id: randomUUID(), index, payload, possibleDuplicates };
+    if (payload.importedId) queuedImports.get(payload.account).set(payload.importedId, entry.id);
+    toCreate.push(entry);
+    results.push(entry);
+  }
+
+  if (toCreate.length > 0) {
+    const payees = await resolvePayees(toCreate.map(e => e.payload.payeeName));
+    const byAccount = new Map();
+
+    for (const entry of toCreate) {
+      const { payload } = entry;
+      entry.payee = payees.get(payload.payeeName.toLowerCase());
+      const rows = byAccount.get(payload.account) || [];
+      rows.push({
+        id: entry.id,
+        date: payload.date,
+        amount: payload.amount,
+        payee: entry.payee.id,
+        category: payload.category,
+        notes: payload.notes,
+        ...(payload.importedId ? { imported_id: payload.importedId } : {}),
+        ...(payload.cleared !== undefined ? { cleared: Boolean(payload.cleared) } : {}),
+      });
+      byAccount.set(payload.account, rows);
+    }
+
+    for (const [accountId, rows] of byAccount) {
+      await api.addTransactions(accountId, rows);
+    }
+    await api.sync();
+  }
+
+  const formatted = results.map(r => {
+    if (!r.payload) return r;
+    return {
+      index: r.index,
+      transactionId: r.id,
+      created: true,
+      payee: r.payee.name,
+      payeeId: r.payee.id,
+      payeeCreated: r.payee.created,
+      ...(r.possibleDuplicates.length > 0 ? { possibleDuplicates: r.possibleDuplicates } : {}),
+    };
+  });
+
+  return {
+    created: formatted.filter(r => r.created).length,
+    skipped: formatted.filter(r => !r.created).length,
+    withPossibleDuplicates: formatted.filter(r => r.possibleDuplicates).length,
+    results: formatted,
+  };
+}
+
+async function createTransaction(transaction) {
+  const { results: [result] } = await createTransactions([transaction]);
+  const { index: _index, ...rest } = result;
+
+  return {
+    success: true,
+    ...rest,
+    ...(result.possibleDuplicates ? {
+      warning: "Transactions with the same amount already exist in this account within a few days of this one. Check they are not the same purchase",
+    } : {}),
+  };
+}
+
+// Find an account by ID, or by name ignoring case
+function findAccount(accounts, accountNameOrId) {
+  const account = accounts.find(a => a.id === accountNameOrId) ||
+    accounts.find(a => a.name.toLowerCase() === String(accountNameOrId).toLowerCase());
+
+  if (!account) {
+    throw new Error(`Account "${accountNameOrId}" not found`);
+  }
+  return account;
+}
+
+// Move money between two accounts as a linked transfer. The outgoing side is
+// paid to the destination account's transfer payee and Actual creates the
+// matching incoming side in the same batch.
+async function createTransfer(transfer) {
+  await initBudget();
+
+  const accounts = await api.getAccounts();
+  const from = findAccount(accounts, transfer.fromAccount);
+  const to = findAccount(accounts, transfer.toAccount);
+  if (from.id === to.id) {
+    throw new Error("fromAccount and toAccount must be different accounts");
+  }
+  for (const account of [from, to]) {
+    if (account.closed) throw new Error(`Account "${account.name}" is closed`);
+  }
+
+  validateDate(transfer.date);
+  // The direction comes from fromAccount and toAccount, so a sign is refused
+  // rather than guessed
+  const amount = typeof transfer.amount === "number" && Number.isFinite(transfer.amount) ?
+    Math.round(transfer.amount * 100) : NaN;
+  if (!(amount > 0)) {
+    throw new Error("amount must be a positive number of dollars");
+  }
+
+  const payee = (await api.getPayees()).find(p => p.transfer_acct === to.id);
+  if (!payee) {
+    throw new Error(`No transfer payee found for account "${to.name}"`);
+  }
+
+  // Only transfers between on- and off-budget accounts leave the budget and
+  // take a category
+  let category = null;
+  if (transfer.category) {
+    if (Boolean(from.offbudget) === Boolean(to.offbudget)) {
+      throw new Error("A category can only be set on transfers between an on-budget and an off-budget account");
+    }
+    category = findCategory(await api.getCategories(), transfer.category).id;
+  }
+
+  const id = randomUUID();
+  await api.addTransactions(from.id, [{
+    id,
+    date: transfer.date,
+    amount: -amount,
+    payee: payee.id,
+    category,
+    notes: transfer.notes || null,
+  }], { runTransfers: true });
+
+  const created = await findTransaction(id);
+  if (!created?.transfer_id) {
+    // Don't leave a one-sided transfer behind
+    await api.batchBudgetUpdates(async () => {
+      await api.deleteTransaction(id);
+    });
+    await api.sync();
+    throw new Error("Transfer failed: its counterpart could not be created, so nothing was saved");
+  }
+  await api.sync();
+
+  return {
+    success: true,
+    fromTransactionId: id,
+    toTransactionId: created.transfer_id,
+    fromAccount: from.name,
+    toAccount: to.name,
+    amount: amount / 100,
+    date: transfer.date,
+  };
+}
+
+// Split transactions
+
+// Turn split lines from a tool call into subtransactions, checking they add up
+// to the parent amount (in cents). Lines are given IDs up front so they can be
+// returned to the caller.
+function buildSplitLines(lines, parentAmount, categories) {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error("A split needs at least two lines");
+  }
+
+  const subtransactions = lines.map((line, i) => {
+    if (typeof line.amount !== "number" || !Number.isFinite(line.amount)) {
+      throw new Error(`Split line ${i + 1} needs a numeric amount`);
+    }
+    return {
+      id: randomUUID(),
+      amount: Math.round(line.amount * 100),
+      category: line.category ? findCategory(categories, line.category).id : null,
+      notes: line.notes || null,
+    };
+  });
+
+  const total = subtransactions.reduce((sum, line) => sum + line.amount, 0);
+  if (parentAmount !== undefined && total !== parentAmount) {
+    throw new Error(
+      `Split lines add up to ${total / 100} but the transaction amount is ${parentAmount / 100} ` +
+      `(difference ${(parentAmount - total) / 100})`
+    );
+  }
+
+  return { subtransactions, total };
+}
+
+async function createSplitTransaction(transaction) {
+  await initBudget();
+
+  if (!transaction.account) {
+    throw new Error("account is required");
+  }
+  const account = findAccount(await api.getAccounts(), transaction.account);
+  if (account.closed) {
+    throw new Error(`Account "${account.name}" is closed`);
+  }
+  validateDate(transaction.date);
+
+  const categories = await api.getCategories();
+  const parentAmount = transaction.amount !== undefined ? Math.round(transaction.amount * 100) : undefined;
+  const { subtransactions, total } = buildSplitLines(transaction.splits, parentAmount, categories);
+
+  // Resolved last so a rejected split doesn't leave a new payee behind
+  const payeeName = transaction.payee?.trim();
+  const payee = payeeName ? (await resolvePayees([payeeName])).get(payeeName.toLowerCase()) : null;
+
+  const id = randomUUID();
+  await api.addTransactions(account.id, [{
+    id,
+    date: transaction.date,
+    amount: total,
+    ...(payee ? { payee: payee.id } : {}),
+    notes: transaction.notes || null,
+    ...(transaction.cleared !== undefined ? { cleared: Boolean(transaction.cleared) } : {}),
+    subtransactions,
+  }]);
+  await api.sync();
+
+  return {
+    success: true,
+    transactionId: id,
+    amount: total / 100,
+    lineIds: subtransactions.map(line => line.id),
+  };
+}
+
+// Replace the lines of a split, or turn a single transaction into a split.
+// The parent amount stays as it is; the new lines must add up to it.
+async function updateSplitTransaction(transactionId, lines) {
+  await initBudget();
+
+  const transaction = await findTransaction(transactionId);
+  if (!transaction) {
+    throw new Error(`Transaction with ID "${transactionId}" not found`);
+  }
+  if (transaction.is_child) {
+    throw new Error(`Transaction "${transactionId}" is a split line; pass its parent "${transaction.parent_id}"`);
+  }
+
+  const categories = await api.getCategories();
+  const { subtransactions } = buildSplitLines(lines, transaction.amount, categories);
+  const previousLines = transaction.is_parent ? await getSplitLines(transactionId) : [];
+
+  await api.batchBudgetUpdates(async () => {
+    // Lines that are replaced are removed first so only the new set remains
+    for (const line of previousLines) {
+      await api.deleteTransaction(line.id);
+    }
+    await api.updateTransaction(transactionId, { category: null, subtransactions });
+  });
+  await api.sync();
+
+  return {
+    success: true,
+    transactionId,
+    convertedToSplit: !transaction.is_parent,
+    lineIds: subtransactions.map(line => line.id),
+  };
+}
+
+async function getAccountTransactions(accountId, options = {}) {
+  await initBudget();
+
+  return queryTransactionPage({ account: accountId }, options);
+}
+
+async function getTotalSpending(filters = {}) {
+  await initBudget();
+
+  const cashFlow = await getCashFlow(filters);
+  const expenseCount = cashFlow.expenses.reduce((total, r) => total + r.count, 0);
+  const incomeCount = cashFlow.income.reduce((total, r) => total + r.count, 0);
+
+  return {
+    ...formatCashFlowTotals(cashFlow),
+    totalSpent: cashFlow.totalExpenses / 100,
+    expenseCount,
+    incomeCount,
+    avgExpense: expenseCount > 0 ? Math.round(cashFlow.totalExpenses / expenseCount) / 100 : 0,
+    dateRange: {
+      startDate: filters.startDate || "all time",
+      endDate: filters.endDate || "today",
+    },
+  };
+}
+
+async function getUncategorizedTransactions(options = {}) {
+  await initBudget();
+
+  // Split parents never carry a category themselves, so read split lines
+  // in their place and report only the lines still missing one
+  return queryTransactionPage({ category: null }, options, "inline");
+}
+
+// Category suggestions
+
+const SUGGESTION_HISTORY_MONTHS = 24;
+const MAX_SUGGESTIONS = 200;
+// How much history for a payee counts, by how closely the payee matched
+const SUGGESTION_MATCH_WEIGHTS = { payee: 1, importedPayee: 0.9, similarName: 0.7 };
+const PAYEE_NOISE_WORDS = new Set(["pos", "debit", "purchase", "card", "sq", "tst", "pp", "www", "com", "inc", "llc", "ltd", "the"]);
+
+// Reduce a payee name or bank description to its first two significant words,
+// so "SQ *BLUE BOTTLE #123" and "Blue Bottle Coffee" both become "blue bottle"
+function payeeKey(name) {
+  const words = String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\s]+/gu, " ")
+    .split(/\s+/)
+    .filter(word => word.length > 1 && !PAYEE_NOISE_WORDS.has(word));
+  return words.slice(0, 2).join(" ") || null;
+}
+
+// Categorized history indexed three ways: by payee ID, by exact imported
+// payee text, and by payeeKey. Each entry counts uses per category.
+function buildSuggestionIndex(history, lookups) {
+  const index = { payee: new Map(), importedPayee: new Map(), similarName: new Map() };
+  const add = (map, key, t) => {
+    if (!key) return;
+    let byCategory = map.get(key);
+    if (!byCategory) map.set(key, byCategory = new Map());
+    let stats = byCategory.get(t.category);
+    if (!stats) byCategory.set(t.category, stats = { count: 0, min: t.amount, max: t.amount, lastUsed: t.date });
+    stats.count++;
+    stats.min = Math.min(stats.min, t.amount);
+    stats.max = Math.max(stats.max, t.amount);
+    if (t.date > stats.lastUsed) stats.lastUsed = t.date;
+  };
+
+  for (const t of history) {
+    if (!lookups.categories.has(t.category)) continue;
+    add(index.payee, t.payee, t);
+    add(index.importedPayee, t.imported_payee?.toLowerCase(), t);
+    const keys = new Set([payeeKey(lookups.payees.get(t.payee)?.name), payeeKey(t.imported_payee)]);
+    for (const key of keys) add(index.similarName, key, t);
+  }
+  return index;
+}
+
+// 1 when the amount is inside the range seen for the category (with some
+// slack), less when it is outside it, and much less when the sign differs
+function amountFit(amount, stats) {
+  if ((amount < 0 && stats.min > 0) || (amount > 0 && stats.max < 0)) return 0.3;
+  const slack = Math.max(Math.abs(stats.min), Math.abs(stats.max)) * 0.25;
+  return amount >= stats.min - slack && amount <= stats.max + slack ? 1 : 0.75;
+}
+
+function suggestCategory(t, index, lookups) {
+  const payeeName = lookups.payees.get(t.payee)?.name;
+  const sources = [
+    ["payee", t.payee, payeeName],
+    ["importedPayee", t.imported_payee?.toLowerCase(), t.imported_payee],
+    ["similarName", payeeKey(payeeName), payeeKey(payeeName)],
+    ["similarName", payeeKey(t.imported_payee), payeeKey(t.imported_payee)],
+  ];
+
+  // Use the most specific match that has any history
+  for (const [matchedOn, key, matchedName] of sources) {
+    const byCategory = key ? index[matchedOn].get(key) : undefined;
+    if (!byCategory) continue;
+
+    const total = [...byCategory.values()].reduce((sum, stats) => sum + stats.count, 0);
+    const ranked = [...byCategory.entries()]
+      .map(([categoryId, stats]) => ({ categoryId, stats, score: (stats.count / total) * amountFit(t.amount, stats) }))
+      .sort((a, b) => b.score - a.score || b.stats.count - a.stats.count);
+
+    const [best, ...others] = ranked;
+    const category = lookups.categories.get(best.categoryId);
+    // Fewer past transactions means less certainty, e.g. 1 → ×0.5, 9 → ×0.9
+    const confidence = SUGGESTION_MATCH_WEIGHTS[matchedOn] * best.score * (total / (total + 1));
+
+    return {
+      categoryId: category.id,
+      categoryName: category.name,
+      groupName: lookups.categoryGroups.get(category.group_id)?.name || null,
+      confidence: Math.round(confidence * 100) / 100,
+      evidence: {
+        matchedOn,
+        matchedName,
+        pastTransactions: total,
+        inThisCategory: best.stats.count,
+        amountRange: { min: best.stats.min / 100, max: best.stats.max / 100 },
+        amountFits: amountFit(t.amount, best.stats) === 1,
+        lastUsed: best.stats.lastUsed,
+      },
+      alternatives: others.slice(0, 2).map(({ categoryId, stats }) => ({
+        categoryId,
+        categoryName: lookups.categories.get(categoryId).name,
+        pastTransactions: stats.count,
+      })),
+    };
+  }
+  return null;
+}
+
+// Propose a category for each uncategorized transaction from how the same or
+// a similar payee was categorized before. Everything runs against the loaded
+// budget; nothing is changed.
+async function suggestCategories(options = {}) {
+  await initBudget();
+
+  const {
+    transactionIds,
+    accountId,
+    startDate,
+    endDate,
+    limit = 50,
+    minConfidence = 0,
+    historyMonths = SUGGESTION_HISTORY_MONTHS,
+  } = options;
+  if (startDate) validateDate(startDate, "startDate");
+  if (endDate) validateDate(endDate, "endDate");
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+    throw new Error(`limit must be between 1 and ${MAX_SUGGESTIONS}`);
+  }
+  if (!Number.isInteger(historyMonths) || historyMonths < 1) {
+    throw new Error("historyMonths must be a positive whole number");
+  }
+
+  let rows;
+  if (transactionIds !== undefined) {
+    rows = (await findTransactionsById(validateTransactionIds(transactionIds)))
+      .filter(t => !t.category && !t.is_parent && !t.transfer_id);
+  } else {
+    rows = await runQuery(
+      q("transactions")
+        .filter({
+          $and: [
+            dateRangeFilter(startDate, endDate),
+            { category: null },
+            { transfer_id: null },
+            { "account.offbudget": false },
+            ...(accountId ? [{ account: accountId }] : []),
+          ],
+        })
+        .options({ splits: "inline" })
+        .select("*")
+        .orderBy([{ date: "desc" }])
+        .limit(limit)
+    );
+  }
+
+  const history = await runQuery(
+    q("transactions")
+      .filter({
+        $and: [
+          dateRangeFilter(addMonths(getCurrentMonth(), -historyMonths) + "-01"),
+          { category: { $ne: null } },
+          { "account.offbudget": false },
+        ],
+      })
+      .options({ splits: "inline" })
+      .select(["payee", "imported_payee", "category", "amount", "date"])
+  );
+
+  const lookups = await getNameLookups();
+  const index = buildSuggestionIndex(history, lookups);
+
+  const results = rows.map(t => {
+    const suggestion = suggestCategory(t, index, lookups);
+    return {
+      transaction: {
+        id: t.id,
+        date: t.date,
+        payee: getPayeeName(t, lookups),
+        importedPayee: t.imported_payee || null,
+        amount: t.amount / 100,
+        account: lookups.accounts.get(t.account)?.name || t.account,
+      },
+      suggestion: suggestion && suggestion.confidence >= minConfidence ? suggestion : null,
+    };
+  });
+  const suggested = results.filter(r => r.suggestion).length;
+
+  return {
+    checked: results.length,
+    suggested,
+    withoutSuggestion: results.length - suggested,
+    historyFrom: addMonths(getCurrentMonth(), -historyMonths) + "-01",
+    suggestions: results,
+    message: suggested > 0 ?
+      "Nothing was changed. Apply suggestions with bulk_update_transactions, grouping transactionIds by category" :
+      "No suggestions: none of these payees has been categorized before",
+  };
+}
+
+// Balance history
+
+const BALANCE_INTERVALS = ["transaction", "day", "week", "month"];
+const MAX_BALANCE_PERIODS = 400;
+const MAX_BALANCE_TRANSACTIONS = 1000;
+
+// Without a startDate, periods go back 30 days, 12 weeks or 12 months
+function defaultBalanceStart(endDate, interval) {
+  if (interval === "day") return addDays(endDate, -29);
+  if (interval === "week") return addDays(weekStart(endDate), -7 * 11);
+  return addMonths(endDate.slice(0, 7), -11) + "-01";
+}
+
+function validateBalanceRange(options, interval) {
+  const endDate = options.endDate ? validateDate(options.endDate, "endDate") : getToday();
+  const startDate = options.startDate ? validateDate(options.startDate, "startDate") :
+    interval === "transaction" ? null : defaultBalanceStart(endDate, interval);
+  if (startDate && startDate > endDate) {
+    throw new Error("startDate must not be after endDate");
+  }
+  return { startDate, endDate };
+}
+
+// The last day of each day, week or month touching the range (cut off at
+// endDate), so each period's balance is its closing balance
+function balancePeriods(startDate, endDate, interval) {
+  const periods = [];
+  if (interval === "day") {
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      periods.push({ period: date, date, partial: false });
+    }
+  } else {
+    for (const p of listPeriods(startDate, endDate, interval)) {
+      const next = interval === "week" ? addDays(p.period, 7) : addMonths(p.period, 1) + "-01";
+      const last = addDays(next, -1);
+      periods.push({ period: p.period, date: last < endDate ? last : endDate, partial: p.partial });
+    }
+  }
+  if (periods.length > MAX_BALANCE_PERIODS) {
+    throw new Error(`That range has ${periods.length} ${interval}s; use a shorter range or a longer interval (at most ${MAX_BALANCE_PERIODS} periods)`);
+  }
+  return periods;
+}
+
+// Balances in cents per account before startDate, and the net change per
+// account and day from startDate to endDate
+async function getBalanceChanges(accountIds, startDate, endDate) {
+  const opening = await runQuery(
+    q("transactions")
+      .filter({ $and: [...anyOf("account", accountIds), { date: { $lt: startDate } }] })
+      .options({ splits: "none" })
+      .groupBy("account")
+      .select(["account", { amount: { $sum: "$amount" } }])
+  );
+  const changes = await runQuery(
+    q("transactions")
+      .filter({ $and: [...anyOf("account", accountIds), dateRangeFilter(startDate, endDate)] })
+      .options({ splits: "none" })
+      .groupBy(["account", "date"])
+      .select(["account", "date", { amount: { $sum: "$amount" } }])
+      .orderBy([{ date: "asc" }])
+  );
+  return { opening: new Map(opening.map(row => [row.account, row.amount])), changes };
+}
+
+// Running balance of one account. By transaction, each row shows the balance
+// right after it; by day, week or month, each period shows its closing
+// balance. Either way the balance starts from everything before the range, so
+// it matches what Actual shows.
+async function getBalanceHistory(accountId, options = {}) {
+  await initBudget();
+
+  const account = findAccount(await api.getAccounts(), accountId);
+  const interval = options.interval || "transaction";
+  if (!BALANCE_INTERVALS.includes(interval)) {
+    throw new Error(`Invalid interval "${interval}". Use one of: ${BALANCE_INTERVALS.join(", ")}`);
+  }
+  const { startDate, endDate } = validateBalanceRange(options, interval);
+
+  if (interval === "transaction") {
+    const limit = options.limit ?? 30;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BALANCE_TRANSACTIONS) {
+      throw new Error(`limit must be a whole number from 1 to ${MAX_BALANCE_TRANSACTIONS}`);
+    }
+    const filter = { $and: [{ account: account.id }, dateRangeFilter(startDate, endDate)] };
+
+    // Newest first in Actual's register order, then walked back from the
+    // balance at endDate
+    const rows = await runQuery(
+      q("transactions")
+        .filter(filter)
+        .options({ splits: "none" })
+        .select("*")
+        .orderBy([{ date: "desc" }, { sort_order: "desc" }])
+        .limit(limit + 1)
+    );
+    const hasMore = rows.length > limit;
+    rows.splice(limit);
+    const { data: closingBalance } = await api.aqlQuery(
+      q("transactions")
+        .filter({ account: account.id, date: { $lte: endDate } })
+        .options({ splits: "none" })
+        .calculate({ $sum: "$amount" })
+    );
+    const lookups = await getNameLookups();
+
+    let balance = closingBalance || 0;
+    const history = rows.map(t => {
+      const entry = {
+        date: t.date,
+        transactionId: t.id,
+        payee: getPayeeName(t, lookups),
+        amount: t.amount / 100,
+        balance: balance / 100,
+      };
+      balance -= t.amount;
+      return entry;
+    }).reverse();
+
+    return {
+      account: account.name,
+      accountId: account.id,
+      interval,
+      startDate,
+      endDate,
+      openingBalance: balance / 100,
+      closingBalance: (closingBalance || 0) / 100,
+      // Older transactions in the range were left out; raise limit or narrow the range
+      hasMore,
+      history,
+    };
+  }
+
+  const periods = balancePeriods(startDate, endDate, interval);
+  const { opening, changes } = await getBalanceChanges([account.id], startDate, endDate);
+  const openingBalance = opening.get(account.id) || 0;
+
+  let balance = openingBalance;
+  let i = 0;
+  const history = periods.map(p => {
+    const before = balance;
+    for (; i < changes.length && changes[i].date <= p.date; i++) {
+      balance += changes[i].amount;
+    }
+    return { period: p.period, date: p.date, partial: p.partial, change: (balance - before) / 100, balance: balance / 100 };
+  });
+
+  return {
+    account: account.name,
+    accountId: account.id,
+    interval,
+    startDate,
+    endDate,
+    openingBalance: openingBalance / 100,
+    closingBalance: balance / 100,
+    history,
+  };
+}
+
+// Net worth over time: closing balances of every account (closed ones
+// included, for the time they were open) per day, week or month, split into
+// on-budget and off-budget totals
+async function getNetWorthHistory(options = {}) {
+  await initBudget();
+
+  const interval = options.interval || "month";
+  if (!BALANCE_INTERVALS.includes(interval) || interval === "transaction") {
+    throw new Error(`Invalid interval "${interval}". Use one of: day, week, month`);
+  }
+  const { startDate, endDate } = validateBalanceRange(options, interval);
+  const periods = balancePeriods(startDate, endDate, interval);
+
+  const accounts = await api.getAccounts();
+  const { opening, changes } = await getBalanceChanges([], startDate, endDate);
+  const balances = new Map(accounts.map(a => [a.id, opening.get(a.id) || 0]));
+  const offBudget = new Set(accounts.filter(a => a.offbudget).map(a => a.id));
+
+  const totals = () => {
+    let on = 0;
+    let off = 0;
+    for (const [id, amount] of balances) {
+      if (offBudget.has(id)) off += amount; else on += amount;
+    }
+    return { onBudget: on / 100, offBudget: off / 100, netWorth: (on + off) / 100 };
+  };
+  const openingTotals = totals();
+
+  let i = 0;
+  const history = periods.map(p => {
+    for (; i < changes.length && changes[i].date <= p.date; i++) {
+      balances.set(changes[i].account, (balances.get(changes[i].account) || 0) + changes[i].amount);
+    }
+    return {
+      period: p.period,
+      date: p.date,
+      partial: p.partial,
+      ...totals(),
+      ...(options.includeAccounts ? {
+        accounts: Object.fromEntries(accounts.filter(a => !a.closed || balances.get(a.id) !== 0)
+          .map(a => [a.name, balances.get(a.id) / 100])),
+      } : {}),
+    };
+  });
+  const closing = totals();
+
+  return {
+    interval,
+    startDate,
+    endDate,
+    opening: openingTotals,
+    closing,
+    change: {
+      onBudget: roundAmount(closing.onBudget - openingTotals.onBudget),
+      offBudget: roundAmount(closing.offBudget - openingTotals.offBudget),
+      netWorth: roundAmount(closing.netWorth - openingTotals.netWorth),
+    },
+    history,
+  };
+}
+
+// Delete Transaction
+async function deleteTransaction(transactionId) {
+  await initBudget();
+
+  const transaction = await findTransaction(transactionId);
+
+  if (!transaction) {
+    throw new Error(`Transaction with ID "${transactionId}" not found`);
+  }
+
+  await api.batchBudgetUpdates(async () => {
+    await api.deleteTransaction(transactionId);
+  });
+
+  return {
+    success: true,
+    transactionId,
+    message: `Transaction deleted: ${transaction.imported_payee || "Unknown"} ($${(transaction.amount / 100).toFixed(2)})`,
+  };
+}
+
+// Category management
+
+// Find a category group by ID, or by name ignoring case
+function findCategoryGroup(groups, nameOrId) {
+  const group = groups.find(g => g.id === nameOrId) ||
+    groups.find(g => g.name.toLowerCase() === String(nameOrId).toLowerCase());
+  if (!group) {
+    throw new Error(`Category group "${nameOrId}" not found`);
+  }
+  return group;
+}
+
+function checkCategoryName(categories, name, groupId, exceptId) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) {
+    throw new Error("Category name can't be empty");
+  }
+  const existing = categories.find(c =>
+    c.id !== exceptId && c.group_id === groupId && c.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (existing) {
+    throw new Error(`The group already has a category named "${existing.name}"`);
+  }
+  return trimmed;
+}
+
+// Number of transactions (split lines included) in any of the categories
+async function countCategoryTransactions(categoryIds) {
+  if (categoryIds.length === 0) return 0;
+  const { data } = await api.aqlQuery(
+    q("transactions")
+      .filter({ $and: anyOf("category", categoryIds) })
+      .options({ splits: "inline" })
+      .calculate({ $count: "$id" })
+  );
+  return data;
+}
+
+// The category a deleted category's transactions and budgets move to. Actual
+// only allows moves between two expense or two income categories.
+function findTransferCategory(categories, nameOrId, deletedIds, isIncome) {
+  const target = findCategory(categories, nameOrId);
+  if (deletedIds.includes(target.id)) {
+    throw new Error(`Can't move transactions to "${target.name}"; it is being deleted`);
+  }
+  if (Boolean(target.is_income) !== Boolean(isIncome)) {
+    throw new Error("Transactions can't move between income and expense categories");
+  }
+  return target;
+}
+
+async function createCategory({ name, group, hidden = false }) {
+  await initBudget();
+
+  const targetGroup = findCategoryGroup(await api.getCategoryGroups(), group);
+  const categories = await api.getCategories();
+  const categoryName = checkCategoryName(categories, name, targetGroup.id);
+
+  const id = await api.createCategory({
+    name: categoryName,
+    group_id: targetGroup.id,
+    is_income: Boolean(targetGroup.is_income),
+    hidden: Boolean(hidden),
+  });
+  await api.sync();
+
+  return {
+    success: true,
+    categoryId: id,
+    name: categoryName,
+    groupId: targetGroup.id,
+    groupName: targetGroup.name,
+    isIncome: Boolean(targetGroup.is_income),
+  };
+}
+
+// Rename, hide/unhide or move a category to another group
+async function updateCategory(categoryNameOrId, changes = {}) {
+  await initBudget();
+
+  const categories = await api.getCategories();
+  const groups = await api.getCategoryGroups();
+  const category = findCategory(categories, categoryNameOrId);
+  const fields = {};
+
+  let groupId = category.group_id;
+  if (changes.group !== undefined) {
+    const targetGroup = findCategoryGroup(groups, changes.group);
+    if (Boolean(targetGroup.is_income) !== Boolean(category.is_income)) {
+      throw new Error("Categories can't move between income and expense groups");
+    }
+    groupId = targetGroup.id;
+    if (groupId !== category.group_id) fields.group_id = groupId;
+  }
+  if (changes.name !== undefined || fields.group_id) {
+    const name = checkCategoryName(categories, changes.name ?? category.name, groupId, category.id);
+    if (name !== category.name) fields.name = name;
+  }
+  if (changes.hidden !== undefined) {
+    fields.hidden = Boolean(changes.hidden);
+  }
+  if (Object.keys(fields).length === 0) {
+    throw new Error("Nothing to update: pass name, group or hidden");
+  }
+
+  // Actual trims the name on every update, so it must always be sent
+  await api.updateCategory(category.id, { name: category.name, ...fields });
+  await api.sync();
+
+  return {
+    success: true,
+    categoryId: category.id,
+    name: fields.name ?? category.name,
+    groupId,
+    groupName: groups.find(g => g.id === groupId)?.name || null,
+    isHidden: fields.hidden ?? Boolean(category.hidden),
+  };
+}
+
+async function createCategoryGroup({ name, hidden = false }) {
+  await initBudget();
+
+  const groupName = String(name ?? "").trim();
+  if (!groupName) {
+    throw new Error("Category group name can't be empty");
+  }
+  const groups = await api.getCategoryGroups();
+  const existing = groups.find(g => g.name.toLowerCase() === groupName.toLowerCase());
+  if (existing) {
+    throw new Error(`A category group named "${existing.name}" already exists`);
+  }
+
+  const id = await api.createCategoryGroup({ name: groupName, is_income: false, hidden: Boolean(hidden) });
+  await api.sync();
+
+  return {
+    success: true,
+    groupId: id,
+    name: groupName,
+  };
+}
+
+async function updateCategoryGroup(groupNameOrId, changes = {}) {
+  await initBudget();
+
+  const groups = await api.getCategoryGroups();
+  const group = findCategoryGroup(groups, groupNameOrId);
+  const fields = {};
+
+  if (changes.name !== undefined) {
+    const name = String(changes.name).trim();
+    if (!name) {
+      throw new Error("Category group name can't be empty");
+    }
+    const existing = groups.find(g => g.id !== group.id && g.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      throw new Error(`A category group named "${existing.name}" already exists`);
+    }
+    fields.name = name;
+  }
+  if (changes.hidden !== undefined) {
+    fields.hidden = Boolean(changes.hidden);
+  }
+  if (Object.keys(fields).length === 0) {
+    throw new Error("Nothing to update: pass name or hidden");
+  }
+
+  await api.updateCategoryGroup(group.id, { name: group.name, ...fields });
+  await api.sync();
+
+  return {
+    success: true,
+    groupId: group.id,
+    name: fields.name ?? group.name,
+    isHidden: fields.hidden ?? Boolean(group.hidden),
+  };
+}
+
+// Delete a group and every category in it. With transferCategory, their
+// transactions and budgeted amounts move there; otherwise the transactions
+// are left uncategorized.
+async function deleteCategoryGroup(groupNameOrId, transferCategory) {
+  await initBudget();
+
+  const groups = await api.getCategoryGroups();
+  const group = findCategoryGroup(groups, groupNameOrId);
+  if (group.is_income && groups.filter(g => g.is_income).length === 1) {
+    throw new Error("The budget's only income group can't be deleted");
+  }
+
+  const categories = await api.getCategories();
+  const groupCategoryIds = categories.filter(c => c.group_id === group.id).map(c => c.id);
+  const target = transferCategory !== undefined ?
+    findTransferCategory(categories, transferCategory, groupCategoryIds, group.is_income) :
+    null;
+  const transactionCount = await countCategoryTransactions(groupCategoryIds);
+
+  await api.deleteCategoryGroup(group.id, target?.id);
+  await api.sync();
+
+  return {
+    success: true,
+    groupId: group.id,
+    groupName: group.name,
+    deletedCategories: groupCategoryIds.length,
+    ...(target ?
+      { movedTransactions: transactionCount, movedTo: target.name } :
+      { uncategorizedTransactions: transactionCount }),
+    message: `Category group "${group.name}" deleted`,
+  };
+}
+
+// Delete a category. With transferCategory, its transactions and budgeted
+// amounts move there; otherwise its transactions are left uncategorized.
+async function deleteCategory(categoryNameOrId, transferCategory) {
+  await initBudget();
+
+  const categories = await api.getCategories();
+  const category = findCategory(categories, categoryNameOrId);
+  const target = transferCategory !== undefined ?
+    findTransferCategory(categories, transferCategory, [category.id], category.is_income) :
+    null;
+  const transactionCount = await countCategoryTransactions([category.id]);
+
+  try {
+    await api.deleteCategory(category.id, target?.id);
+    await api.sync();
+    return {
+      success: true,
+      categoryId: category.id,
+      categoryName: category.name,
+      ...(target ?
+        { movedTransactions: transactionCount, movedTo: target.name } :
+        { uncategorizedTransactions: transactionCount }),
+      message: `Category "${category.name}" deleted`,
+    };
+  } catch (error) {
+    throw new Error(`Cannot delete category "${category.name}": ${error.message}`);
+  }
+}
+
+// Run Bank Sync
+async function runBankSync() {
+  await initBudget();
+
+  try {
+    const syncStatus = await api.getBankSyncStatus();
+
+    // Attempt to sync
+    await api.syncBankAccounts();
+
+    return {
+      success: true,
+      message: "Bank sync initiated",
+      timestamp: new Date().toISOString(),
+      syncStatus,
+    };
+  } catch (error) {
+    throw new Error(`Bank sync failed: ${error.message}`);
+  }
+}
+
+// List all tools
+async function listTools(extra) {
+  const tools = [
+      {
+        name: "list_budgets",
+        description: "List the budgets available on the Actual server. Pass a budget's budgetId to any other tool to query that budget instead of the default one",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "get_accounts",
+        description: "Get all accounts with their balances and types",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "get_categories",
+        description: "Get all budget categories with their budget amounts",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "get_category_by_id",
+        description: "Get detailed info for a specific category including balance",
+        inputSchema: {
+          type: "object",
+          properties: {
+            categoryId: {
+              type: "string",
+              description: "The category ID",
+            },
+            month: {
+              type: "string",
+              description: "Budget month (YYYY-MM). Defaults to the current month",
+            },
+          },
+          required: ["categoryId"],
+        },
+      },
+      {
+        name: "get_transactions",
+        description: "Get transactions with optional filters. Results are sorted, then paged; the response includes the total match count and nextOffset for the next page",
+        inputSchema: {
+          type: "object",
+          properties: {
+            category: {
+              type: "string",
+              description: "Filter by category ID",
+            },
+            account: {
+              type: "string",
+              description: "Filter by account ID",
+            },
+            payee: {
+              type: "string",
+              description: "Filter by payee name (partial match)",
+            },
+            startDate: {
+              type: "string",
+              description: "Filter by start date (YYYY-MM-DD)",
+            },
+            endDate: {
+              type: "string",
+              description: "Filter by end date (YYYY-MM-DD)",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of transactions (default: 100)",
+            },
+            offset: {
+              type: "number",
+              description: "Number of transactions to skip, for paging (default: 0). Use nextOffset from the previous page",
+            },
+            sortBy: {
+              type: "string",
+              enum: ["date", "amount", "payee"],
+              description: "Sort key (default: date)",
+            },
+            sortOrder: {
+              type: "string",
+              enum: ["asc", "desc"],
+              description: "Sort direction (default: desc)",
+            },
+            excludeChild: {
+              type: "boolean",
+              description: "Exclude split child transactions (default: true)",
+            },
+            includeSplits: {
+              type: "boolean",
+              description: "Nest each split transaction's lines under it as subtransactions (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "search_transactions",
+        description: "Search transactions with structured criteria: amount range and sign, payee/notes text or regex, cleared/reconciled state, transfers, and multiple accounts, categories or category groups. Split purchases are searched line by line. Results are sorted and paged like get_transactions, plus totalAmount for all matches",
+        inputSchema: {
+          type: "object",
+          properties: {
+            startDate: {
+              type: "string",
+              description: "Start date (YYYY-MM-DD)",
+            },
+            endDate: {
+              type: "string",
+              description: "End date (YYYY-MM-DD)",
+            },
+            minAmount: {
+              type: "number",
+              description: "Minimum amount in dollars, compared to the absolute value",
+            },
+            maxAmount: {
+              type: "number",
+              description: "Maximum amount in dollars, compared to the absolute value",
+            },
+            sign: {
+              type: "string",
+              enum: ["any", "outflow", "inflow"],
+              description: "outflow = money leaving the account (expenses), inflow = money coming in (income, refunds). Default: any",
+            },
+            payee: {
+              type: "string",
+              description: "Partial match on payee name or imported payee (case-insensitive)",
+            },
+            payeeRegex: {
+              type: "string",
+              description: "JavaScript regular expression matched against payee name or imported payee (case-sensitive)",
+            },
+            notes: {
+              type: "string",
+              description: "Partial match on notes (case-insensitive)",
+            },
+            notesRegex: {
+              type: "string",
+              description: "JavaScript regular expression matched against notes (case-sensitive)",
+            },
+            cleared: {
+              type: "boolean",
+              description: "Only cleared (true) or uncleared (false) transactions",
+            },
+            reconciled: {
+              type: "boolean",
+              description: "Only reconciled (true) or unreconciled (false) transactions",
+            },
+            transfers: {
+              type: "string",
+              enum: ["include", "exclude", "only"],
+              description: "How to treat transfers between accounts (default: include)",
+            },
+            accounts: {
+              type: "array",
+              items: { type: "string" },
+              description: "Account IDs to include",
+            },
+            categories: {
+              type: "array",
+              items: { type: "string" },
+              description: "Category IDs to include",
+            },
+            categoryGroups: {
+              type: "array",
+              items: { type: "string" },
+              description: "Category group IDs to include",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of transactions (default: 100)",
+            },
+            offset: {
+              type: "number",
+              description: "Number of transactions to skip, for paging (default: 0). Use nextOffset from the previous page",
+            },
+            sortBy: {
+              type: "string",
+              enum: ["date", "amount", "payee"],
+              description: "Sort key (default: date)",
+            },
+            sortOrder: {
+              type: "string",
+              enum: ["asc", "desc"],
+              description: "Sort direction (default: desc)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_transaction_by_id",
+        description: "Get a specific transaction by ID",
+        inputSchema: {
+          type: "object",
+          properties: {
+            transactionId: {
+              type: "string",
+              description: "The transaction ID",
+            },
+          },
+          required: ["transactionId"],
+        },
+      },
+      {
+        name: "get_budget_totals",
+        description: "Get overall budget totals: budgeted, spent, remaining, and account balance",
+        inputSchema: {
+          type: "object",
+          properties: {
+            month: {
+              type: "string",
+              description: "Budget month (YYYY-MM). Defaults to the current month",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_budget_month",
+        description: "Get the full envelope view of a budget month: budgeted, spent, balance and carryover per category group and category, plus to-budget and overspending totals",
+        inputSchema: {
+          type: "object",
+          properties: {
+            month: {
+              type: "string",
+              description: "Budget month (YYYY-MM)",
+            },
+          },
+          required: ["month"],
+        },
+      },
+      {
+        name: "get_budget_month_range",
+        description: "Compare budget months: per-month summary totals plus per-category budgeted, spent and overspent counts across the range",
+        inputSchema: {
+          type: "object",
+          properties: {
+            startMonth: {
+              type: "string",
+              description: "First month (YYYY-MM)",
+            },
+            endMonth: {
+              type: "string",
+              description: "Last month (YYYY-MM), inclusive",
+            },
+          },
+          required: ["startMonth", "endMonth"],
+        },
+      },
+      {
+        name: "get_spending_by_category",
+        description: "Get spending breakdown by expense category, sorted by amount spent, with income, expense and net totals. Refunds reduce a category's spending; transfers and off-budget accounts are excluded unless requested",
+        inputSchema: {
+          type: "object",
+          properties: {
+            month: {
+              type: "string",
+              description: "Budget month (YYYY-MM) to compare against. Also the date range when no dates are given. Defaults to the current month",
+            },
+            startDate: {
+              type: "string",
+              description: "Filter from date (YYYY-MM-DD)",
+            },
+            endDate: {
+              type: "string",
+              description: "Filter to date (YYYY-MM-DD)",
+            },
+            includeTransfers: {
+              type: "boolean",
+              description: "Also report transfers between accounts, as a separate figure (default: false)",
+            },
+            includeOffBudget: {
+              type: "boolean",
+              description: "Include off-budget accounts (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_payees",
+        description: "Get payees with how many transactions use each and when each was last used. Transfer payees, which stand for one of your accounts, are flagged with isTransfer",
+        inputSchema: {
+          type: "object",
+          properties: {
+            search: {
+              type: "string",
+              description: "Only payees whose name contains this text",
+            },
+            sortBy: {
+              type: "string",
+              enum: ["name", "transactionCount", "lastUsed"],
+              description: "Sort key (default: name)",
+            },
+            includeTransfers: {
+              type: "boolean",
+              description: "Include transfer payees (default: true)",
+            },
+            unusedOnly: {
+              type: "boolean",
+              description: "Only payees with no transactions",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "find_duplicate_payees",
+        description: "Find groups of payees that are probably the same merchant, such as bank import variants (\"AMZN MKTP US*2K3\" and \"Amazon.com\"), with a suggested payee to keep. Confirm with the user, then use merge_payees",
+        inputSchema: {
+          type: "object",
+          properties: {},
+          required: [],
+        },
+      },
+      {
+        name: "list_rules",
+        description: "List the budget's transaction rules with their conditions, actions and a readable summary. IDs in rules are resolved to payee, category and account names",
+        inputSchema: {
+          type: "object",
+          properties: {
+            payee: {
+              type: "string",
+              description: "Only rules that involve this payee (name or ID)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_account_transactions",
+        description: "Get transactions for a specific account, sorted and paged like get_transactions",
+        inputSchema: {
+          type: "object",
+          properties: {
+            accountId: {
+              type: "string",
+              description: "The account ID",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of transactions (default: 100)",
+            },
+            offset: {
+              type: "number",
+              description: "Number of transactions to skip, for paging (default: 0). Use nextOffset from the previous page",
+            },
+            sortBy: {
+              type: "string",
+              enum: ["date", "amount", "payee"],
+              description: "Sort key (default: date)",
+            },
+            sortOrder: {
+              type: "string",
+              enum: ["asc", "desc"],
+              description: "Sort direction (default: desc)",
+            },
+            includeSplits: {
+              type: "boolean",
+              description: "Nest each split transaction's lines under it as subtransactions (default: false)",
+            },
+          },
+          required: ["accountId"],
+        },
+      },
+      {
+        name: "get_total_spending",
+        description: "Get income, expenses and net for a date range. Transfers between accounts and off-budget accounts are excluded unless requested",
+        inputSchema: {
+          type: "object",
+          properties: {
+            startDate: {
+              type: "string",
+              description: "Start date (YYYY-MM-DD) - optional",
+            },
+            endDate: {
+              type: "string",
+              description: "End date (YYYY-MM-DD) - optional",
+            },
+            includeTransfers: {
+              type: "boolean",
+              description: "Also report transfers between accounts, as a separate figure (default: false)",
+            },
+            includeOffBudget: {
+              type: "boolean",
+              description: "Include off-budget accounts (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
       {
-        name: "get_categories",
-        description: "Get all budget categories with their budget amounts",
+        name: "get_spending_trend",
+        description: "Spending per month or week over a date range, in total or broken down by category, category group, payee or account, with change from the previous period, percent change, a rolling average and a flag for unusual periods. Transfers and income are excluded",
         inputSchema: {
           type: "object",
-          properties: {},
+          properties: {
+            startDate: {
+              type: "string",
+              description: "Start date (YYYY-MM-DD). Defaults to the start of the month five months before endDate",
+            },
+            endDate: {
+              type: "string",
+              description: "End date (YYYY-MM-DD). Defaults to today",
+            },
+            interval: {
+              type: "string",
+              enum: TREND_INTERVALS,
+              description: "Period size; weeks start on Monday (default: month)",
+            },
+            groupBy: {
+              type: "string",
+              enum: Object.keys(SPENDING_DIMENSIONS),
+              description: "Break spending down into one series per category, group, payee or account (default: total)",
+            },
+            accounts: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only include these account IDs",
+            },
+            categories: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only include these category IDs",
+            },
+            categoryGroups: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only include categories in these group IDs",
+            },
+            rollingWindow: {
+              type: "number",
+              description: "Number of periods in the rolling average (default: 3)",
+            },
+            unusualThreshold: {
+              type: "number",
+              description: "Standard deviations from the other periods' average before a period is flagged unusual (default: 2)",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of series, largest first (default: 20)",
+            },
+            includeOffBudget: {
+              type: "boolean",
+              description: "Include off-budget accounts (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "compare_spending",
+        description: "Compare spending in one month with another (default: this month against last month), in total and broken down by category, group, payee or account, largest changes first. A month in progress is compared against the same days of the other month",
+        inputSchema: {
+          type: "object",
+          properties: {
+            month: {
+              type: "string",
+              description: "Month to report (YYYY-MM). Defaults to the current month",
+            },
+            compareTo: {
+              type: "string",
+              description: "Month to compare against (YYYY-MM). Defaults to the month before",
+            },
+            groupBy: {
+              type: "string",
+              enum: Object.keys(SPENDING_DIMENSIONS),
+              description: "Breakdown dimension (default: category)",
+            },
+            accounts: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only include these account IDs",
+            },
+            categoryGroups: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only include categories in these group IDs",
+            },
+            includeOffBudget: {
+              type: "boolean",
+              description: "Include off-budget accounts (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_uncategorized_transactions",
+        description: "Get transactions that haven't been categorized yet, sorted and paged like get_transactions",
+        inputSchema: {
+          type: "object",
+          properties: {
+            limit: {
+              type: "number",
+              description: "Maximum number of transactions (default: 100)",
+            },
+            offset: {
+              type: "number",
+              description: "Number of transactions to skip, for paging (default: 0). Use nextOffset from the previous page",
+            },
+            sortBy: {
+              type: "string",
+              enum: ["date", "amount", "payee"],
+              description: "Sort key (default: date)",
+            },
+            sortOrder: {
+              type: "string",
+              enum: ["asc", "desc"],
+              description: "Sort direction (default: desc)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "suggest_categories",
+        description: "Suggest a category for each uncategorized transaction from how the same or a similar payee was categorized before, with a confidence score (0-1) and the evidence used. Runs locally and changes nothing; apply suggestions with bulk_update_transactions",
+        inputSchema: {
+          type: "object",
+          properties: {
+            transactionIds: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only these transactions (categorized ones are skipped)",
+            },
+            accountId: {
+              type: "string",
+              description: "Only uncategorized transactions in this account",
+            },
+            startDate: {
+              type: "string",
+              description: "From date (YYYY-MM-DD)",
+            },
+            endDate: {
+              type: "string",
+              description: "To date (YYYY-MM-DD)",
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of transactions, newest first (default: 50, max: 200)",
+            },
+            minConfidence: {
+              type: "number",
+              description: "Drop suggestions below this confidence (default: 0)",
+            },
+            historyMonths: {
+              type: "number",
+              description: "Months of categorized history to learn from (default: 24)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_schedules",
+        description: "List scheduled (recurring) transactions with payee, account, category, amount, recurrence and next date. Overdue schedules are due but not yet entered",
+        inputSchema: {
+          type: "object",
+          properties: {
+            includePaused: {
+              type: "boolean",
+              description: "Also list paused and completed schedules (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "get_upcoming_transactions",
+        description: "Project the transactions schedules will produce over a date window, with inflow, outflow and net totals overall and per account. Use with get_budget_totals to answer questions like \"what bills are due before payday?\"",
+        inputSchema: {
+          type: "object",
+          properties: {
+            startDate: {
+              type: "string",
+              description: "From date (YYYY-MM-DD, default: today)",
+            },
+            endDate: {
+              type: "string",
+              description: "To date (YYYY-MM-DD, at most a year ahead)",
+            },
+            days: {
+              type: "number",
+              description: "Window length in days when endDate is not given (default: 30)",
+            },
+            accountId: {
+              type: "string",
+              description: "Only schedules for this account (name or ID)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "find_recurring_charges",
+        description: "Find subscriptions, memberships and bills in the transaction history: charges from the same payee at a regular weekly, biweekly, monthly, quarterly or yearly interval. Reports each with cadence, typical amount, last and next expected charge, annualized cost and price changes, and flags ones that stopped or changed amount",
+        inputSchema: {
+          type: "object",
+          properties: {
+            historyMonths: {
+              type: "number",
+              description: "Months of history to scan (default: 25, which catches yearly charges)",
+            },
+            accountId: {
+              type: "string",
+              description: "Only charges in this account (name or ID)",
+            },
+            includeStopped: {
+              type: "boolean",
+              description: "Include charges that have stopped coming (default: true)",
+            },
+            minAmount: {
+              type: "number",
+              description: "Leave out charges smaller than this many dollars (default: 0)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "find_anomalies",
+        description: "Review recent transactions for anything unusual: possible double charges (same payee, account and amount within a few days), amounts far above what a payee or category usually costs, large first payments to a new payee, and categories with much more spending than usual. Each flag comes with an explanation. Defaults to the last 7 days, which makes a good weekly review",
+        inputSchema: {
+          type: "object",
+          properties: {
+            startDate: {
+              type: "string",
+              description: "From date (YYYY-MM-DD, default: 6 days before endDate)",
+            },
+            endDate: {
+              type: "string",
+              description: "To date (YYYY-MM-DD, default: today). At most 92 days after startDate",
+            },
+            accountId: {
+              type: "string",
+              description: "Only this account (name or ID)",
+            },
+            types: {
+              type: "array",
+              items: {
+                type: "string",
+                enum: ["possible_duplicate", "unusual_amount", "first_time_payee", "category_spike"],
+              },
+              description: "Checks to run (default: all)",
+            },
+            historyMonths: {
+              type: "number",
+              description: "Months of history before startDate that count as usual (default: 12)",
+            },
+            unusualThreshold: {
+              type: "number",
+              description: "Standard deviations above the average that count as unusual (default: 3)",
+            },
+            duplicateDays: {
+              type: "number",
+              description: "Days apart two identical charges can be and still count as a possible duplicate (default: 3)",
+            },
+            firstTimePayeeAmount: {
+              type: "number",
+              description: "Smallest first payment to a new payee that is flagged, in dollars (default: 100)",
+            },
+            includeOffBudget: {
+              type: "boolean",
+              description: "Also review off-budget accounts (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
+      {
+        name: "forecast_cash_flow",
+        description: "Project each open on-budget account's balance day by day over the next N days from schedules, recurring payments detected in the history, and average everyday spending, and flag the first date an account would drop below a threshold. Add plannedTransactions to check whether a big purchase is affordable",
+        inputSchema: {
+          type: "object",
+          properties: {
+            days: {
+              type: "number",
+              description: "Days to project (default: 30, max: 366)",
+            },
+            threshold: {
+              type: "number",
+              description: "Warn when a balance would drop below this many dollars (default: 0)",
+            },
+            accountId: {
+              type: "string",
+              description: "Only this account (name or ID)",
+            },
+            plannedTransactions: {
+              type: "array",
+              description: "Hypothetical transactions to include, such as a purchase being considered",
+              items: {
+                type: "object",
+                properties: {
+                  account: {
+                    type: "string",
+                    description: "Account name or ID",
+                  },
+                  amount: {
+                    type: "number",
+                    description: "Amount in dollars (negative for purchases)",
+                  },
+                  date: {
+                    type: "string",
+                    description: "Date (YYYY-MM-DD, default: today)",
+                  },
+                  description: {
+                    type: "string",
+                    description: "What it is",
+                  },
+                },
+                required: ["account", "amount"],
+              },
+            },
+            includeRecurring: {
+              type: "boolean",
+              description: "Project recurring payments detected in the history that have no schedule (default: true)",
+            },
+            includeDiscretionary: {
+              type: "boolean",
+              description: "Subtract average daily spending on everything else (default: true)",
+            },
+            discretionaryDays: {
+              type: "number",
+              description: "Days of history the average daily spending is taken from (default: 90)",
+            },
+            includeDaily: {
+              type: "boolean",
+              description: "Include the day-by-day balances (default: true)",
+            },
+          },
           required: [],
         },
-      },
-      {
-        name: "get_category_by_id",
-        description: "Get detailed info for a specific category including balance",
-        inputSchema: {
-          type: "object",
-          properties: {
-            categoryId: {
-              type: "string",
-              description: "The category ID",
+      },
+    ];
+
+    // Add mutation tools only if not in read-only mode
+    if (!READ_ONLY) {
+      tools.push(
+        {
+          name: "set_category_budget",
+          description: "Set the budget amount for a category by name in a given month",
+          inputSchema: {
+            type: "object",
+            properties: {
+              categoryName: {
+                type: "string",
+                description: "The category name",
+              },
+              month: {
+                type: "string",
+                description: "Month in YYYY-MM format (e.g., 2026-02)",
+              },
+              amount: {
+                type: "number",
+                description: "Budget amount in dollars",
+              },
+            },
+            required: ["categoryName", "month", "amount"],
+          },
+        },
+        {
+          name: "set_category_budget_by_id",
+          description: "Set the budget amount for a category by ID in a given month",
+          inputSchema: {
+            type: "object",
+            properties: {
+              categoryId: {
+                type: "string",
+                description: "The category ID",
+              },
+              month: {
+                type: "string",
+                description: "Month in YYYY-MM format (e.g., 2026-02)",
+              },
+              amount: {
+                type: "number",
+                description: "Budget amount in dollars",
+              },
+            },
+            required: ["categoryId", "month", "amount"],
+          },
+        },
+        {
+          name: "move_budget",
+          description: "Move budgeted money between categories in a month, e.g. cover Dining overspending from Entertainment. Without from, the money comes from To Budget; without amount, the destination's overspending is covered exactly",
+          inputSchema: {
+            type: "object",
+            properties: {
+              month: {
+                type: "string",
+                description: "Month in YYYY-MM format (e.g., 2026-02)",
+              },
+              from: {
+                type: "string",
+                description: "Category (name or ID) to take the money from. Omit to use To Budget",
+              },
+              to: {
+                type: "string",
+                description: "Category (name or ID) to move the money to",
+              },
+              amount: {
+                type: "number",
+                description: "Dollars to move. Omit to cover the destination's overspending",
+              },
+            },
+            required: ["month", "to"],
+          },
+        },
+        {
+          name: "set_carryover",
+          description: "Turn rollover of overspending on or off for a category, from a month onwards. When on, a negative balance carries into the next month instead of coming out of To Budget",
+          inputSchema: {
+            type: "object",
+            properties: {
+              category: {
+                type: "string",
+                description: "Category name or ID",
+              },
+              month: {
+                type: "string",
+                description: "Month in YYYY-MM format (e.g., 2026-02)",
+              },
+              enabled: {
+                type: "boolean",
+                description: "true to roll overspending over, false to stop",
+              },
+            },
+            required: ["category", "month", "enabled"],
+          },
+        },
+        {
+          name: "hold_for_next_month",
+          description: "Hold money from a month's To Budget for next month. Adds to any amount already held",
+          inputSchema: {
+            type: "object",
+            properties: {
+              month: {
+                type: "string",
+                description: "Month in YYYY-MM format (e.g., 2026-02)",
+              },
+              amount: {
+                type: "number",
+                description: "Dollars to hold; at most what is left to budget",
+              },
+            },
+            required: ["month", "amount"],
+          },
+        },
+        {
+          name: "reset_budget_hold",
+          description: "Release everything held for next month back into the month's To Budget",
+          inputSchema: {
+            type: "object",
+            properties: {
+              month: {
+                type: "string",
+                description: "Month in YYYY-MM format (e.g., 2026-02)",
+              },
+            },
+            required: ["month"],
+          },
+        },
+        {
+          name: "copy_last_month_budget",
+          description: "Budget the same amounts as the previous month. Only categories with nothing budgeted yet are filled unless overwrite is true. Refused if it needs more than is left to budget",
+          inputSchema: {
+            type: "object",
+            properties: {
+              month: {
+                type: "string",
+                description: "Month in YYYY-MM format (e.g., 2026-02)",
+              },
+              categories: {
+                type: "array",
+                items: { type: "string" },
+                description: "Only these categories (names or IDs). Default: every visible expense category",
+              },
+              overwrite: {
+                type: "boolean",
+                description: "Also replace amounts already budgeted (default: false)",
+              },
+              allowOverbudget: {
+                type: "boolean",
+                description: "Set the amounts even if they need more than is left to budget (default: false)",
+              },
+            },
+            required: ["month"],
+          },
+        },
+        {
+          name: "set_budget_to_average",
+          description: "Budget each category at its average spending over the previous months. Refused if it needs more than is left to budget",
+          inputSchema: {
+            type: "object",
+            properties: {
+              month: {
+                type: "string",
+                description: "Month in YYYY-MM format (e.g., 2026-02)",
+              },
+              months: {
+                type: "number",
+                description: "Number of previous months to average (default: 3, max: 24)",
+              },
+              categories: {
+                type: "array",
+                items: { type: "string" },
+                description: "Only these categories (names or IDs). Default: every visible expense category",
+              },
+              overwrite: {
+                type: "boolean",
+                description: "Replace amounts already budgeted (default: true). false fills only empty categories",
+              },
+              allowOverbudget: {
+                type: "boolean",
+                description: "Set the amounts even if they need more than is left to budget (default: false)",
+              },
+            },
+            required: ["month"],
+          },
+        },
+        {
+          name: "set_transaction_category",
+          description: "Set or change the category for a transaction",
+          inputSchema: {
+            type: "object",
+            properties: {
+              transactionId: {
+                type: "string",
+                description: "The transaction ID",
+              },
+              categoryNameOrId: {
+                type: "string",
+                description: "Category name or ID",
+              },
+            },
+            required: ["transactionId", "categoryNameOrId"],
+          },
+        },
+        {
+          name: "bulk_update_transactions",
+          description: "Set category, payee, notes or cleared on many transactions at once, picked by ID list or by filter. Returns a preview of the affected transactions without changing anything unless confirm is true; confirmed changes are applied in one batch",
+          inputSchema: {
+            type: "object",
+            properties: {
+              transactionIds: {
+                type: "array",
+                items: { type: "string" },
+                description: "Transactions to update. Use this or filter",
+              },
+              filter: {
+                type: "object",
+                description: "Pick transactions by filter instead of IDs. Transfers are never matched; split lines are matched individually",
+                properties: {
+                  payee: {
+                    type: "string",
+                    description: "Partial match on payee name or imported payee",
+                  },
+                  account: {
+                    type: "string",
+                    description: "Account ID or name",
+                  },
+                  category: {
+                    type: "string",
+                    description: "Current category name or ID",
+                  },
+                  uncategorizedOnly: {
+                    type: "boolean",
+                    description: "Only transactions without a category",
+                  },
+                  startDate: {
+                    type: "string",
+                    description: "From date (YYYY-MM-DD)",
+                  },
+                  endDate: {
+                    type: "string",
+                    description: "To date (YYYY-MM-DD)",
+                  },
+                },
+              },
+              set: {
+                type: "object",
+                description: "Fields to set on every matched transaction",
+                properties: {
+                  category: {
+                    type: "string",
+                    description: "Category name or ID",
+                  },
+                  payee: {
+                    type: "string",
+                    description: "Payee name; created if it doesn't exist",
+                  },
+                  notes: {
+                    type: "string",
+                    description: "Replacement notes",
+                  },
+                  cleared: {
+                    type: "boolean",
+                    description: "Cleared flag",
+                  },
+                },
+              },
+              confirm: {
+                type: "boolean",
+                description: "Apply the changes. Default false returns a preview only",
+              },
+            },
+            required: ["set"],
+          },
+        },
+        {
+          name: "rename_payee",
+          description: "Rename a payee. Fails if another payee already has the name; merge them with merge_payees instead",
+          inputSchema: {
+            type: "object",
+            properties: {
+              payee: {
+                type: "string",
+                description: "Payee name or ID",
+              },
+              name: {
+                type: "string",
+                description: "New name",
+              },
+            },
+            required: ["payee", "name"],
+          },
+        },
+        {
+          name: "merge_payees",
+          description: "Merge payees into one: transactions and rules of the merged payees move to the target, and the merged payees are deleted. This can't be undone",
+          inputSchema: {
+            type: "object",
+            properties: {
+              target: {
+                type: "string",
+                description: "Payee to keep (name or ID)",
+              },
+              merge: {
+                type: "array",
+                items: { type: "string" },
+                description: "Payees to merge into the target (names or IDs)",
+              },
+            },
+            required: ["target", "merge"],
+          },
+        },
+        {
+          name: "create_rule",
+          description: "Create a rule that Actual applies to new and imported transactions, e.g. imported payee text contains \"STARBUCKS\" → category Coffee and rename to Starbucks. Use apply_rules to run it on existing transactions",
+          inputSchema: {
+            type: "object",
+            properties: {
+              payee: {
+                type: "string",
+                description: "Payee to match. With match \"is\" this must be an existing payee name or ID; otherwise it is text or a regex matched against the bank's payee text (imported payee)",
+              },
+              match: {
+                type: "string",
+                enum: ["is", "contains", "matches"],
+                description: "How to match payee: exact payee, or partial text or regex on the imported payee (default: is)",
+              },
+              matchImportedPayee: {
+                type: "boolean",
+                description: "Match the payee text from the bank import instead of the payee. Always on for contains and matches",
+              },
+              category: {
+                type: "string",
+                description: "Set this category (name or ID) on matching transactions",
+              },
+              renameTo: {
+                type: "string",
+                description: "Set this payee on matching transactions; created if it doesn't exist",
+              },
+              conditions: {
+                type: "array",
+                items: { type: "object" },
+                description: "Raw Actual conditions ({field, op, value}) instead of payee/match. Payee conditions compare IDs (is, isNot, oneOf, notOneOf); match text on imported_payee",
+              },
+              actions: {
+                type: "array",
+                items: { type: "object" },
+                description: "Raw Actual actions ({op: \"set\", field, value}) instead of category/renameTo",
+              },
+              conditionsOp: {
+                type: "string",
+                enum: ["and", "or"],
+                description: "Whether all or any conditions must match (default: and)",
+              },
+              stage: {
+                type: "string",
+                enum: ["pre", "default", "post"],
+                description: "When the rule runs relative to others. Payee-only renames default to pre",
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: "update_rule",
+          description: "Change a rule. Only the parts passed are replaced: conditions (payee/match or conditions), actions (category/renameTo or actions), conditionsOp and stage",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ruleId: {
+                type: "string",
+                description: "The rule ID",
+              },
+              payee: {
+                type: "string",
+                description: "Payee to match. With match \"is\" this must be an existing payee name or ID; otherwise it is text or a regex matched against the bank's payee text (imported payee)",
+              },
+              match: {
+                type: "string",
+                enum: ["is", "contains", "matches"],
+                description: "How to match payee: exact payee, or partial text or regex on the imported payee (default: is)",
+              },
+              matchImportedPayee: {
+                type: "boolean",
+                description: "Match the payee text from the bank import instead of the payee. Always on for contains and matches",
+              },
+              category: {
+                type: "string",
+                description: "Set this category (name or ID) on matching transactions",
+              },
+              renameTo: {
+                type: "string",
+                description: "Set this payee on matching transactions; created if it doesn't exist",
+              },
+              conditions: {
+                type: "array",
+                items: { type: "object" },
+                description: "Raw Actual conditions ({field, op, value}) instead of payee/match. Payee conditions compare IDs (is, isNot, oneOf, notOneOf); match text on imported_payee",
+              },
+              actions: {
+                type: "array",
+                items: { type: "object" },
+                description: "Raw Actual actions ({op: \"set\", field, value}) instead of category/renameTo",
+              },
+              conditionsOp: {
+                type: "string",
+                enum: ["and", "or"],
+                description: "Whether all or any conditions must match (default: and)",
+              },
+              stage: {
+                type: "string",
+                enum: ["pre", "default", "post"],
+                description: "When the rule runs relative to others. Payee-only renames default to pre",
+              },
+            },
+            required: ["ruleId"],
+          },
+        },
+        {
+          name: "delete_rule",
+          description: "Delete a rule",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ruleId: {
+                type: "string",
+                description: "The rule ID",
+              },
+            },
+            required: ["ruleId"],
+          },
+        },
+        {
+          name: "apply_rules",
+          description: "Run all rules against existing transactions picked by ID list or filter, and report the payee, category, notes and cleared changes they make. Returns a preview without changing anything unless confirm is true",
+          inputSchema: {
+            type: "object",
+            properties: {
+              transactionIds: {
+                type: "array",
+                items: { type: "string" },
+                description: "Transactions to run rules on. Use this or filter",
+              },
+              filter: {
+                type: "object",
+                description: "Pick transactions by filter instead of IDs, as in bulk_update_transactions",
+                properties: {
+                  payee: {
+                    type: "string",
+                    description: "Partial match on payee name or imported payee",
+                  },
+                  account: {
+                    type: "string",
+                    description: "Account ID or name",
+                  },
+                  category: {
+                    type: "string",
+                    description: "Current category name or ID",
+                  },
+                  uncategorizedOnly: {
+                    type: "boolean",
+                    description: "Only transactions without a category",
+                  },
+                  startDate: {
+                    type: "string",
+                    description: "From date (YYYY-MM-DD)",
+                  },
+                  endDate: {
+                    type: "string",
+                    description: "To date (YYYY-MM-DD)",
+                  },
+                },
+              },
+              confirm: {
+                type: "boolean",
+                description: "Apply the changes. Default false returns a preview only",
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: "update_transaction",
+          description: "Update transaction details like payee, amount, date, or notes",
+          inputSchema: {
+            type: "object",
+            properties: {
+              transactionId: {
+                type: "string",
+                description: "The transaction ID",
+              },
+              payee: {
+                type: "string",
+                description: "New payee name",
+              },
+              category: {
+                type: "string",
+                description: "New category ID",
+              },
+              amount: {
+                type: "number",
+                description: "New amount in dollars",
+              },
+              date: {
+                type: "string",
+                description: "New date (YYYY-MM-DD)",
+              },
+              notes: {
+                type: "string",
+                description: "New notes",
+              },
+            },
+            required: ["transactionId"],
+          },
+        },
+        {
+          name: "create_transaction",
+          description: "Create a new transaction and return its ID. Warns when a transaction with the same amount already exists in the account within a few days. Use create_transfer to move money between accounts",
+          inputSchema: {
+            type: "object",
+            properties: {
+              account: {
+                type: "string",
+                description: "Account ID or name",
+              },
+              payee: {
+                type: "string",
+                description: "Payee name. An existing payee is reused (ignoring case), otherwise a new one is created",
+              },
+              amount: {
+                type: "number",
+                description: "Amount in dollars (negative for money out, positive for money in)",
+              },
+              date: {
+                type: "string",
+                description: "Date (YYYY-MM-DD)",
+              },
+              category: {
+                type: "string",
+                description: "Category name or ID (optional)",
+              },
+              notes: {
+                type: "string",
+                description: "Notes (optional)",
+              },
+              imported_id: {
+                type: "string",
+                description: "Unique ID from the source (e.g. a bank or receipt ID). If a transaction with this imported_id already exists in the account, nothing is created and its ID is returned",
+              },
+              cleared: {
+                type: "boolean",
+                description: "Mark the transaction cleared (default: true)",
+              },
             },
+            required: ["account", "payee", "amount", "date"],
           },
-          required: ["categoryId"],
         },
-      },
-      {
-        name: "get_transactions",
-        description: "Get transactions with optional filters",
-        inputSchema: {
-          type: "object",
-          properties: {
-            category: {
-              type: "string",
-              description: "Filter by category ID",
-            },
-            account: {
-              type: "string",
-              description: "Filter by account ID",
-            },
-            payee: {
-              type: "string",
-              description: "Filter by payee name (partial match)",
-            },
-            startDate: {
-              type: "string",
-              description: "Filter by start date (YYYY-MM-DD)",
-            },
-            endDate: {
-              type: "string",
-              description: "Filter by end date (YYYY-MM-DD)",
-            },
-            limit: {
-              type: "number",
-              description: "Maximum number of transactions (default: 100)",
+        {
+          name: "create_transactions",
+          description: "Create many transactions in one call, e.g. from a statement or receipt list. All entries are checked before any is created; entries whose imported_id already exists are skipped. Returns each new ID and any possible duplicates",
+          inputSchema: {
+            type: "object",
+            properties: {
+              transactions: {
+                type: "array",
+                description: "Transactions to create (at most 500)",
+                items: {
+                  type: "object",
+                  properties: {
+                    account: {
+                      type: "string",
+                      description: "Account ID or name",
+                    },
+                    payee: {
+                      type: "string",
+                      description: "Payee name. An existing payee is reused (ignoring case), otherwise a new one is created",
+                    },
+                    amount: {
+                      type: "number",
+                      description: "Amount in dollars (negative for money out, positive for money in)",
+                    },
+                    date: {
+                      type: "string",
+                      description: "Date (YYYY-MM-DD)",
+                    },
+                    category: {
+                      type: "string",
+                      description: "Category name or ID (optional)",
+                    },
+                    notes: {
+                      type: "string",
+                      description: "Notes (optional)",
+                    },
+                    imported_id: {
+                      type: "string",
+                      description: "Unique ID from the source (e.g. a bank or receipt ID). If a transaction with this imported_id already exists in the account, nothing is created and its ID is returned",
+                    },
+                    cleared: {
+                      type: "boolean",
+                      description: "Mark the transaction cleared (default: true)",
+                    },
+                  },
+                  required: ["account", "payee", "amount", "date"],
+                },
+              },
             },
-            excludeChild: {
-              type: "boolean",
-              description: "Exclude split child transactions (default: true)",
+            required: ["transactions"],
+          },
+        },
+        {
+          name: "create_split_transaction",
+          description: "Create a transaction split across several categories, e.g. one store receipt covering Groceries, Household and Gifts. Returns the new transaction ID and its line IDs",
+          inputSchema: {
+            type: "object",
+            properties: {
+              account: {
+                type: "string",
+                description: "Account ID or name",
+              },
+              date: {
+                type: "string",
+                description: "Date (YYYY-MM-DD)",
+              },
+              payee: {
+                type: "string",
+                description: "Payee name",
+              },
+              amount: {
+                type: "number",
+                description: "Total amount in dollars (negative for money out). Optional; when given, the lines must add up to it",
+              },
+              notes: {
+                type: "string",
+                description: "Notes (optional)",
+              },
+              cleared: {
+                type: "boolean",
+                description: "Mark the transaction cleared (default: true)",
+              },
+              splits: {
+                type: "array",
+                description: "Split lines, at least two",
+                items: {
+                  type: "object",
+                  properties: {
+                    amount: {
+                      type: "number",
+                      description: "Line amount in dollars (negative for money out)",
+                    },
+                    category: {
+                      type: "string",
+                      description: "Category name or ID",
+                    },
+                    notes: {
+                      type: "string",
+                      description: "Notes for this line",
+                    },
+                  },
+                  required: ["amount"],
+                },
+              },
             },
+            required: ["account", "date", "splits"],
           },
-          required: [],
         },
-      },
-      {
-        name: "get_transaction_by_id",
-        description: "Get a specific transaction by ID",
-        inputSchema: {
-          type: "object",
-          properties: {
-            transactionId: {
-              type: "string",
-              description: "The transaction ID",
+        {
+          name: "update_split_transaction",
+          description: "Replace the lines of a split transaction, or turn a single transaction into a split. The lines must add up to the transaction amount",
+          inputSchema: {
+            type: "object",
+            properties: {
+              transactionId: {
+                type: "string",
+                description: "The transaction ID (the split parent, not one of its lines)",
+              },
+              splits: {
+                type: "array",
+                description: "The complete new set of lines, at least two",
+                items: {
+                  type: "object",
+                  properties: {
+                    amount: {
+                      type: "number",
+                      description: "Line amount in dollars (negative for money out)",
+                    },
+                    category: {
+                      type: "string",
+                      description: "Category name or ID",
+                    },
+                    notes: {
+                      type: "string",
+                      description: "Notes for this line",
+                    },
+                  },
+                  required: ["amount"],
+                },
+              },
             },
+            required: ["transactionId", "splits"],
           },
-          required: ["transactionId"],
         },
-      },
-      {
-        name: "get_budget_totals",
-        description: "Get overall budget totals: budgeted, spent, remaining, and account balance",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
+        {
+          name: "create_transfer",
+          description: "Move money between two of your accounts as a linked transfer. Actual creates the incoming side from the outgoing one; if it doesn't, the outgoing side is deleted again and an error is returned. Use this instead of create_transaction for transfers",
+          inputSchema: {
+            type: "object",
+            properties: {
+              fromAccount: {
+                type: "string",
+                description: "Account the money leaves (ID or name)",
+              },
+              toAccount: {
+                type: "string",
+                description: "Account the money goes to (ID or name)",
+              },
+              amount: {
+                type: "number",
+                description: "Amount in dollars to move (positive; the direction comes from fromAccount and toAccount)",
+              },
+              date: {
+                type: "string",
+                description: "Date (YYYY-MM-DD)",
+              },
+              notes: {
+                type: "string",
+                description: "Notes (optional)",
+              },
+              category: {
+                type: "string",
+                description: "Category name or ID, only for transfers between an on-budget and an off-budget account",
+              },
+            },
+            required: ["fromAccount", "toAccount", "amount", "date"],
+          },
         },
-      },
-      {
-        name: "get_spending_by_category",
-        description: "Get spending breakdown by category, sorted by amount spent",
-        inputSchema: {
-          type: "object",
-          properties: {
-            startDate: {
-              type: "string",
-              description: "Filter from date (YYYY-MM-DD)",
+        {
+          name: "delete_transaction",
+          description: "Delete a transaction permanently",
+          inputSchema: {
+            type: "object",
+            properties: {
+              transactionId: {
+                type: "string",
+                description: "The transaction ID to delete",
+              },
             },
-            endDate: {
-              type: "string",
-              description: "Filter to date (YYYY-MM-DD)",
+            required: ["transactionId"],
+          },
+        },
+        {
+          name: "delete_category",
+          description: "Delete a budget category permanently. Pass transferCategory to move its transactions and budgeted amounts to another category; otherwise its transactions become uncategorized",
+          inputSchema: {
+            type: "object",
+            properties: {
+              categoryId: {
+                type: "string",
+                description: "The category ID or name to delete",
+              },
+              transferCategory: {
+                type: "string",
+                description: "Category (name or ID) that receives the deleted category's transactions and budgets",
+              },
             },
+            required: ["categoryId"],
           },
-          required: [],
         },
-      },
-      {
-        name: "get_payees",
-        description: "Get all payees in your budget",
-        inputSchema: {
-          type: "object",
-          properties: {},
-          required: [],
+        {
+          name: "create_category",
+          description: "Create a category in a category group. It is an income category if the group is the income group",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Category name",
+              },
+              group: {
+                type: "string",
+                description: "Category group name or ID",
+              },
+              hidden: {
+                type: "boolean",
+                description: "Create the category hidden (default: false)",
+              },
+            },
+            required: ["name", "group"],
+          },
         },
-      },
-      {
-        name: "get_account_transactions",
-        description: "Get all transactions for a specific account",
-        inputSchema: {
-          type: "object",
-          properties: {
-            accountId: {
-              type: "string",
-              description: "The account ID",
+        {
+          name: "update_category",
+          description: "Rename a category, hide or unhide it, or move it to another group",
+          inputSchema: {
+            type: "object",
+            properties: {
+              category: {
+                type: "string",
+                description: "Category name or ID",
+              },
+              name: {
+                type: "string",
+                description: "New name",
+              },
+              group: {
+                type: "string",
+                description: "Group (name or ID) to move the category to",
+              },
+              hidden: {
+                type: "boolean",
+                description: "Hide (true) or unhide (false) the category",
+              },
             },
-            limit: {
-              type: "number",
-              description: "Maximum number of transactions (default: 100)",
+            required: ["category"],
+          },
+        },
+        {
+          name: "create_category_group",
+          description: "Create an expense category group",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Group name",
+              },
+              hidden: {
+                type: "boolean",
+                description: "Create the group hidden (default: false)",
+              },
             },
+            required: ["name"],
           },
-          required: ["accountId"],
         },
-      },
-      {
-        name: "get_total_spending",
-        description: "Get total spending across all categories for a date range",
-        inputSchema: {
-          type: "object",
-          properties: {
-            startDate: {
-              type: "string",
-              description: "Start date (YYYY-MM-DD) - optional",
+        {
+          name: "update_category_group",
+          description: "Rename a category group, or hide or unhide it",
+          inputSchema: {
+            type: "object",
+            properties: {
+              group: {
+                type: "string",
+                description: "Group name or ID",
+              },
+              name: {
+                type: "string",
+                description: "New name",
+              },
+              hidden: {
+                type: "boolean",
+                description: "Hide (true) or unhide (false) the group",
+              },
             },
-            endDate: {
-              type: "string",
-              description: "End date (YYYY-MM-DD) - optional",
+            required: ["group"],
+          },
+        },
+        {
+          name: "delete_category_group",
+          description: "Delete a category group and all its categories. Pass transferCategory to move their transactions and budgeted amounts to a category outside the group; otherwise the transactions become uncategorized",
+          inputSchema: {
+            type: "object",
+            properties: {
+              group: {
+                type: "string",
+                description: "Group name or ID",
+              },
+              transferCategory: {
+                type: "string",
+                description: "Category (name or ID) that receives the deleted categories' transactions and budgets",
+              },
             },
+            required: ["group"],
           },
-          required: [],
         },
-      },
-      {
-        name: "get_uncategorized_transactions",
-        description: "Get all transactions that haven't been categorized yet",
-        inputSchema: {
-          type: "object",
-          properties: {
-            limit: {
-              type: "number",
-              description: "Maximum number of transactions (default: 100)",
+        {
+          name: "create_account",
+          description: "Create an account, on budget or off budget, with an optional starting balance",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Account name",
+              },
+              offBudget: {
+                type: "boolean",
+                description: "Track the account off budget, e.g. investments or a mortgage (default: false)",
+              },
+              startingBalance: {
+                type: "number",
+                description: "Starting balance in dollars; negative for debt (default: 0)",
+              },
             },
+            required: ["name"],
           },
-          required: [],
         },
-      },
-    ];
-
-    // Add mutation tools only if not in read-only mode
-    if (!READ_ONLY) {
-      tools.push(
         {
-          name: "set_category_budget",
-          description: "Set the budget amount for a category by name in a given month",
+          name: "rename_account",
+          description: "Rename an account",
           inputSchema: {
             type: "object",
             properties: {
-              categoryName: {
+              account: {
                 type: "string",
-                description: "The category name",
+                description: "Account name or ID",
               },
-              month: {
+              name: {
                 type: "string",
-                description: "Month in YYYY-MM format (e.g., 2026-02)",
-              },
-              amount: {
-                type: "number",
-                description: "Budget amount in dollars",
+                description: "New name",
               },
             },
-            required: ["categoryName", "month", "amount"],
+            required: ["account", "name"],
           },
         },
         {
-          name: "set_category_budget_by_id",
-          description: "Set the budget amount for a category by ID in a given month",
+          name: "close_account",
+          description: "Close an account. A remaining balance must be moved to another account with transferTo; between on- and off-budget accounts that also needs transferCategory. An account with no transactions is deleted instead",
           inputSchema: {
             type: "object",
             properties: {
-              categoryId: {
+              account: {
                 type: "string",
-                description: "The category ID",
+                description: "Account name or ID",
               },
-              month: {
+              transferTo: {
                 type: "string",
-                description: "Month in YYYY-MM format (e.g., 2026-02)",
+                description: "Account (name or ID) that receives the remaining balance",
               },
-              amount: {
-                type: "number",
-                description: "Budget amount in dollars",
+              transferCategory: {
+                type: "string",
+                description: "Category (name or ID) for a balance moved between on- and off-budget accounts",
               },
             },
-            required: ["categoryId", "month", "amount"],
+            required: ["account"],
           },
         },
         {
-          name: "set_transaction_category",
-          description: "Set or change the category for a transaction",
+          name: "reopen_account",
+          description: "Reopen a closed account",
           inputSchema: {
             type: "object",
             properties: {
-              transactionId: {
+              account: {
                 type: "string",
-                description: "The transaction ID",
+                description: "Account name or ID",
               },
-              categoryNameOrId: {
+            },
+            required: ["account"],
+          },
+        },
+        {
+          name: "reconcile_account",
+          description: "Compare an account's cleared balance on a statement date with the statement balance, and list uncleared transactions that may explain a difference. With markReconciled and a matching balance, marks the cleared transactions up to that date reconciled",
+          inputSchema: {
+            type: "object",
+            properties: {
+              account: {
                 type: "string",
-                description: "Category name or ID",
+                description: "Account name or ID",
+              },
+              statementBalance: {
+                type: "number",
+                description: "Ending balance on the statement, in dollars",
+              },
+              statementDate: {
+                type: "string",
+                description: "Statement end date (YYYY-MM-DD)",
+              },
+              markReconciled: {
+                type: "boolean",
+                description: "Mark cleared transactions through statementDate reconciled if the balances match (default: false)",
               },
             },
-            required: ["transactionId", "categoryNameOrId"],
+            required: ["account", "statementBalance", "statementDate"],
           },
         },
         {
-          name: "update_transaction",
-          description: "Update transaction details like payee, amount, date, or notes",
+          name: "create_schedule",
+          description: "Create a scheduled transaction, one-off or recurring, such as a new subscription or bill. Actual matches imported transactions against it and can enter it automatically",
           inputSchema: {
             type: "object",
             properties: {
-              transactionId: {
+              name: {
                 type: "string",
-                description: "The transaction ID",
+                description: "Schedule name (optional, must be unique)",
               },
               payee: {
                 type: "string",
-                description: "New payee name",
+                description: "Payee name or ID. A new payee is created if needed",
+              },
+              account: {
+                type: "string",
+                description: "Account name or ID",
               },
               category: {
                 type: "string",
-                description: "New category ID",
+                description: "Category name or ID to set on the transactions it matches",
               },
               amount: {
                 type: "number",
-                description: "New amount in dollars",
+                description: "Amount in dollars (negative for payments, positive for income)",
+              },
+              amountOp: {
+                type: "string",
+                enum: ["is", "isapprox"],
+                description: "Whether the amount is exact or approximate (default: isapprox)",
               },
               date: {
                 type: "string",
-                description: "New date (YYYY-MM-DD)",
+                description: "First occurrence (YYYY-MM-DD)",
               },
-              notes: {
+              frequency: {
                 type: "string",
-                description: "New notes",
+                enum: ["once", "daily", "weekly", "monthly", "yearly"],
+                description: "How often it repeats (default: monthly)",
+              },
+              interval: {
+                type: "number",
+                description: "Repeat every N periods, e.g. 2 with weekly for every other week (default: 1)",
+              },
+              endDate: {
+                type: "string",
+                description: "Last possible date (YYYY-MM-DD). Omit to repeat indefinitely",
+              },
+              endOccurrences: {
+                type: "number",
+                description: "Stop after this many occurrences instead of on endDate",
+              },
+              skipWeekend: {
+                type: "boolean",
+                description: "Move occurrences that fall on a weekend (default: false)",
+              },
+              weekendSolveMode: {
+                type: "string",
+                enum: ["before", "after"],
+                description: "With skipWeekend, move to the Friday before or the Monday after (default: after)",
+              },
+              postsTransaction: {
+                type: "boolean",
+                description: "Enter the transaction automatically when due (default: false)",
               },
             },
-            required: ["transactionId"],
+            required: ["payee", "account", "amount", "date"],
           },
         },
         {
-          name: "create_transaction",
-          description: "Create a new transaction",
+          name: "update_schedule",
+          description: "Change a schedule's name, payee, account, category, amount or recurrence. Recurrence fields replace the old recurrence and need date",
           inputSchema: {
             type: "object",
             properties: {
-              account: {
+              schedule: {
+                type: "string",
+                description: "Schedule name or ID",
+              },
+              name: {
                 type: "string",
-                description: "Account ID",
+                description: "New schedule name",
               },
               payee: {
                 type: "string",
-                description: "Payee name",
+                description: "Payee name or ID",
+              },
+              account: {
+                type: "string",
+                description: "Account name or ID",
+              },
+              category: {
+                type: "string",
+                description: "Category name or ID to set on the transactions it matches",
               },
               amount: {
                 type: "number",
-                description: "Amount in dollars (positive for expenses, negative for income)",
+                description: "Amount in dollars (negative for payments, positive for income)",
+              },
+              amountOp: {
+                type: "string",
+                enum: ["is", "isapprox"],
+                description: "Whether the amount is exact or approximate",
               },
               date: {
                 type: "string",
-                description: "Date (YYYY-MM-DD)",
+                description: "First occurrence of the new recurrence (YYYY-MM-DD)",
               },
-              category: {
+              frequency: {
                 type: "string",
-                description: "Category name or ID (optional)",
+                enum: ["once", "daily", "weekly", "monthly", "yearly"],
+                description: "How often it repeats (default: monthly)",
               },
-              notes: {
+              interval: {
+                type: "number",
+                description: "Repeat every N periods, e.g. 2 with weekly for every other week (default: 1)",
+              },
+              endDate: {
                 type: "string",
-                description: "Notes (optional)",
+                description: "Last possible date (YYYY-MM-DD). Omit to repeat indefinitely",
+              },
+              endOccurrences: {
+                type: "number",
+                description: "Stop after this many occurrences instead of on endDate",
+              },
+              skipWeekend: {
+                type: "boolean",
+                description: "Move occurrences that fall on a weekend (default: false)",
+              },
+              weekendSolveMode: {
+                type: "string",
+                enum: ["before", "after"],
+                description: "With skipWeekend, move to the Friday before or the Monday after (default: after)",
+              },
+              postsTransaction: {
+                type: "boolean",
+                description: "Enter the transaction automatically when due",
               },
             },
-            required: ["account", "payee", "amount", "date"],
+            required: ["schedule"],
           },
         },
         {
-          name: "delete_transaction",
-          description: "Delete a transaction permanently",
+          name: "pause_schedule",
+          description: "Pause a schedule so it stops coming due, or resume a paused one from its next date on or after today",
           inputSchema: {
             type: "object",
             properties: {
-              transactionId: {
+              schedule: {
                 type: "string",
-                description: "The transaction ID to delete",
+                description: "Schedule name or ID",
+              },
+              paused: {
+                type: "boolean",
+                description: "true to pause, false to resume (default: true)",
               },
             },
-            required: ["transactionId"],
+            required: ["schedule"],
           },
         },
         {
-          name: "delete_category",
-          description: "Delete a budget category permanently",
+          name: "delete_schedule",
+          description: "Delete a schedule. Transactions it already entered are kept",
           inputSchema: {
             type: "object",
             properties: {
-              categoryId: {
+              schedule: {
                 type: "string",
-                description: "The category ID to delete",
+                description: "Schedule name or ID",
               },
             },
-            required: ["categoryId"],
+            required: ["schedule"],
           },
         }
       );
@@ -1046,22 +6818,62 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     tools.push(
       {
         name: "get_balance_history",
-        description: "Get historical balance for an account",
+        description: "Get an account's true running balance over time, either after each transaction or as closing balances per day, week or month (for charts)",
         inputSchema: {
           type: "object",
           properties: {
             accountId: {
               type: "string",
-              description: "The account ID",
+              description: "Account name or ID",
+            },
+            interval: {
+              type: "string",
+              enum: ["transaction", "day", "week", "month"],
+              description: "One row per transaction (default), or one closing balance per day, week or month",
+            },
+            startDate: {
+              type: "string",
+              description: "From date (YYYY-MM-DD). Defaults to 30 days, 12 weeks or 12 months back for the period intervals",
+            },
+            endDate: {
+              type: "string",
+              description: "To date (YYYY-MM-DD, default: today)",
             },
             limit: {
               type: "number",
-              description: "Number of recent transactions to include (default: 30)",
+              description: "With interval \"transaction\": most recent transactions in the range to include (default: 30, max: 1000)",
             },
           },
           required: ["accountId"],
         },
       },
+      {
+        name: "get_net_worth_history",
+        description: "Get net worth over time: the closing balance of all accounts per day, week or month, split into on-budget and off-budget totals",
+        inputSchema: {
+          type: "object",
+          properties: {
+            interval: {
+              type: "string",
+              enum: ["day", "week", "month"],
+              description: "Period length (default: month)",
+            },
+            startDate: {
+              type: "string",
+              description: "From date (YYYY-MM-DD). Defaults to 30 days, 12 weeks or 12 months back",
+            },
+            endDate: {
+              type: "string",
+              description: "To date (YYYY-MM-DD, default: today)",
+            },
+            includeAccounts: {
+              type: "boolean",
+              description: "Include each account's balance per period (default: false)",
+            },
+          },
+          required: [],
+        },
+      },
       {
         name: "run_bank_sync",
         description: "Initiate bank account synchronization",
@@ -1073,142 +6885,345 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       }
     );
 
-    return { tools };
-});
-
+    // Every tool except list_budgets can target a non-default budget
+    for (const tool of tools) {
+      if (tool.name === "list_budgets") continue;
+      tool.inputSchema.properties.budgetId = {
+        type: "string",
+        description: "Budget to use (budgetId from list_budgets). Defaults to the configured budget",
+      };
+    }
 
+    return { tools: tools.filter(t => hasToolScope(extra?.authInfo, t.name)) };
+}
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function callTool(request, extra) {
   try {
     // Check read-only mode for mutation tools
-    const mutationTools = [
-      "set_category_budget",
-      "set_category_budget_by_id",
-      "set_transaction_category",
-      "update_transaction",
-      "create_transaction",
-      "delete_transaction",
-      "delete_category",
-    ];
-
-    if (READ_ONLY && mutationTools.includes(request.params.name)) {
+    if (READ_ONLY && TOOL_SCOPES[request.params.name]) {
       throw new Error(
         `Tool "${request.params.name}" is disabled in read-only mode. Set READ_ONLY=false to enable mutations.`
       );
     }
 
+    // Check the caller's API key scope
+    if (!hasToolScope(extra?.authInfo, request.params.name)) {
+      throw new Error(
+        `Tool "${request.params.name}" requires the "${TOOL_SCOPES[request.params.name]}" scope, but this API key only has "${extra.authInfo.scopes[0]}"`
+      );
+    }
+
+    const budgetId = request.params.arguments?.budgetId;
+    if (budgetId !== undefined && typeof budgetId !== "string") {
+      throw new Error("budgetId must be a string");
+    }
+
     let result;
 
-    switch (request.params.name) {
-      case "get_accounts":
-        result = await getAccounts();
-        break;
-
-      case "get_categories":
-        result = await getCategories();
-        break;
-
-      case "get_category_by_id":
-        result = await getCategoryById(request.params.arguments.categoryId);
-        break;
-
-      case "get_transactions":
-        result = await getTransactions(request.params.arguments);
-        break;
-
-      case "get_transaction_by_id":
-        result = await getTransactionById(request.params.arguments.transactionId);
-        break;
-
-      case "get_budget_totals":
-        result = await getBudgetTotals();
-        break;
-
-      case "get_spending_by_category":
-        result = await getSpendingByCategory(request.params.arguments);
-        break;
-
-      case "set_category_budget":
-        result = await setCategoryBudget(
-          request.params.arguments.categoryName,
-          request.params.arguments.month,
-          request.params.arguments.amount
-        );
-        break;
-
-      case "set_category_budget_by_id":
-        result = await setCategoryBudgetById(
-          request.params.arguments.categoryId,
-          request.params.arguments.month,
-          request.params.arguments.amount
-        );
-        break;
-
-      case "set_transaction_category":
-        result = await setTransactionCategory(
-          request.params.arguments.transactionId,
-          request.params.arguments.categoryNameOrId
-        );
-        break;
-
-      case "update_transaction":
-        result = await updateTransaction(
-          request.params.arguments.transactionId,
-          request.params.arguments
-        );
-        break;
-
-      case "get_payees":
-        result = await getPayees();
-        break;
-
-      case "create_transaction":
-        result = await createTransaction(request.params.arguments);
-        break;
-
-      case "get_account_transactions":
-        result = await getAccountTransactions(
-          request.params.arguments.accountId,
-          request.params.arguments.limit
-        );
-        break;
-
-      case "get_total_spending":
-        result = await getTotalSpending(request.params.arguments);
-        break;
-
-      case "get_uncategorized_transactions":
-        result = await getUncategorizedTransactions(
-          request.params.arguments.limit
-        );
-        break;
-
-      case "get_balance_history":
-        result = await getBalanceHistory(
-          request.params.arguments.accountId,
-          request.params.arguments.limit
-        );
-        break;
-
-      case "delete_transaction":
-        result = await deleteTransaction(
-          request.params.arguments.transactionId
-        );
-        break;
-
-      case "delete_category":
-        result = await deleteCategory(
-          request.params.arguments.categoryId
-        );
-        break;
-
-      case "run_bank_sync":
-        result = await runBankSync();
-        break;
-
-      default:
-        throw new Error(`Unknown tool: ${request.params.name}`);
+    // Hold a lease on the target budget so no other call can switch it mid-call
+    await acquireBudget(budgetId || BUDGET_ID);
+    try {
+      switch (request.params.name) {
+        case "list_budgets":
+          result = await listBudgets();
+          break;
+
+        case "get_accounts":
+          result = await getAccounts();
+          break;
+
+        case "get_categories":
+          result = await getCategories();
+          break;
+
+        case "get_category_by_id":
+          result = await getCategoryById(request.params.arguments.categoryId, request.params.arguments.month);
+          break;
+
+        case "get_transactions":
+          result = await getTransactions(request.params.arguments);
+          break;
+
+        case "search_transactions":
+          result = await searchTransactions(request.params.arguments);
+          break;
+
+        case "get_transaction_by_id":
+          result = await getTransactionById(request.params.arguments.transactionId);
+          break;
+
+        case "get_budget_totals":
+          result = await getBudgetTotals(request.params.arguments?.month);
+          break;
+
+        case "get_budget_month":
+          result = await getBudgetMonthReport(request.params.arguments.month);
+          break;
+
+        case "get_budget_month_range":
+          result = await getBudgetMonthRange(request.params.arguments.startMonth, request.params.arguments.endMonth);
+          break;
+
+        case "get_spending_by_category":
+          result = await getSpendingByCategory(request.params.arguments);
+          break;
+
+        case "set_category_budget":
+          result = await setCategoryBudget(
+            request.params.arguments.categoryName,
+            request.params.arguments.month,
+            request.params.arguments.amount
+          );
+          break;
+
+        case "set_category_budget_by_id":
+          result = await setCategoryBudgetById(
+            request.params.arguments.categoryId,
+            request.params.arguments.month,
+            request.params.arguments.amount
+          );
+          break;
+
+        case "move_budget":
+          result = await moveBudget(request.params.arguments);
+          break;
+
+        case "set_carryover":
+          result = await setCarryover(request.params.arguments);
+          break;
+
+        case "hold_for_next_month":
+          result = await holdForNextMonth(request.params.arguments);
+          break;
+
+        case "reset_budget_hold":
+          result = await resetBudgetHold(request.params.arguments.month);
+          break;
+
+        case "copy_last_month_budget":
+          result = await copyLastMonthBudget(request.params.arguments);
+          break;
+
+        case "set_budget_to_average":
+          result = await setBudgetToAverage(request.params.arguments);
+          break;
+
+        case "set_transaction_category":
+          result = await setTransactionCategory(
+            request.params.arguments.transactionId,
+            request.params.arguments.categoryNameOrId
+          );
+          break;
+
+        case "update_transaction":
+          result = await updateTransaction(
+            request.params.arguments.transactionId,
+            request.params.arguments
+          );
+          break;
+
+        case "get_payees":
+          result = await getPayees(request.params.arguments || {});
+          break;
+
+        case "find_duplicate_payees":
+          result = await findDuplicatePayees();
+          break;
+
+        case "rename_payee":
+          result = await renamePayee(request.params.arguments.payee, request.params.arguments.name);
+          break;
+
+        case "merge_payees":
+          result = await mergePayees(request.params.arguments.target, request.params.arguments.merge);
+          break;
+
+        case "create_transaction":
+          result = await createTransaction(request.params.arguments);
+          break;
+
+        case "bulk_update_transactions":
+          result = await bulkUpdateTransactions(request.params.arguments);
+          break;
+
+        case "list_rules":
+          result = await listRules(request.params.arguments);
+          break;
+
+        case "create_rule":
+          result = await createRule(request.params.arguments);
+          break;
+
+        case "update_rule":
+          result = await updateRule(request.params.arguments.ruleId, request.params.arguments);
+          break;
+
+        case "delete_rule":
+          result = await deleteRule(request.params.arguments.ruleId);
+          break;
+
+        case "apply_rules":
+          result = await applyRules(request.params.arguments);
+          break;
+
+        case "create_transactions":
+          result = await createTransactions(request.params.arguments.transactions);
+          break;
+
+        case "create_transfer":
+          result = await createTransfer(request.params.arguments);
+          break;
+
+        case "create_split_transaction":
+          result = await createSplitTransaction(request.params.arguments);
+          break;
+
+        case "update_split_transaction":
+          result = await updateSplitTransaction(request.params.arguments.transactionId, request.params.arguments.splits);
+          break;
+
+        case "get_account_transactions":
+          result = await getAccountTransactions(
+            request.params.arguments.accountId,
+            request.params.arguments
+          );
+          break;
+
+        case "get_total_spending":
+          result = await getTotalSpending(request.params.arguments);
+          break;
+
+        case "get_spending_trend":
+          result = await getSpendingTrend(request.params.arguments);
+          break;
+
+        case "compare_spending":
+          result = await compareSpending(request.params.arguments);
+          break;
+
+        case "get_uncategorized_transactions":
+          result = await getUncategorizedTransactions(
+            request.params.arguments || {}
+          );
+          break;
+
+        case "suggest_categories":
+          result = await suggestCategories(request.params.arguments || {});
+          break;
+
+        case "get_schedules":
+          result = await getSchedules(request.params.arguments || {});
+          break;
+
+        case "get_upcoming_transactions":
+          result = await getUpcomingTransactions(request.params.arguments || {});
+          break;
+
+        case "find_recurring_charges":
+          result = await findRecurringCharges(request.params.arguments || {});
+          break;
+
+        case "find_anomalies":
+          result = await findAnomalies(request.params.arguments || {});
+          break;
+
+        case "forecast_cash_flow":
+          result = await forecastCashFlow(request.params.arguments || {});
+          break;
+
+        case "create_schedule":
+          result = await createSchedule(request.params.arguments);
+          break;
+
+        case "update_schedule":
+          result = await updateSchedule(request.params.arguments.schedule, request.params.arguments);
+          break;
+
+        case "pause_schedule":
+          result = await pauseSchedule(
+            request.params.arguments.schedule,
+            request.params.arguments.paused ?? true
+          );
+          break;
+
+        case "delete_schedule":
+          result = await deleteSchedule(request.params.arguments.schedule);
+          break;
+
+        case "get_balance_history":
+          result = await getBalanceHistory(
+            request.params.arguments.accountId,
+            request.params.arguments
+          );
+          break;
+
+        case "get_net_worth_history":
+          result = await getNetWorthHistory(request.params.arguments || {});
+          break;
+
+        case "delete_transaction":
+          result = await deleteTransaction(
+            request.params.arguments.transactionId
+          );
+          break;
+
+        case "delete_category":
+          result = await deleteCategory(
+            request.params.arguments.categoryId,
+            request.params.arguments.transferCategory
+          );
+          break;
+
+        case "create_account":
+          result = await createAccount(request.params.arguments);
+          break;
+
+        case "rename_account":
+          result = await renameAccount(request.params.arguments.account, request.params.arguments.name);
+          break;
+
+        case "close_account":
+          result = await closeAccount(request.params.arguments);
+          break;
+
+        case "reopen_account":
+          result = await reopenAccount(request.params.arguments.account);
+          break;
+
+        case "reconcile_account":
+          result = await reconcileAccount(request.params.arguments);
+          break;
+
+        case "create_category":
+          result = await createCategory(request.params.arguments);
+          break;
+
+        case "update_category":
+          result = await updateCategory(request.params.arguments.category, request.params.arguments);
+          break;
+
+        case "create_category_group":
+          result = await createCategoryGroup(request.params.arguments);
+          break;
+
+        case "update_category_group":
+          result = await updateCategoryGroup(request.params.arguments.group, request.params.arguments);
+          break;
+
+        case "delete_category_group":
+          result = await deleteCategoryGroup(request.params.arguments.group, request.params.arguments.transferCategory);
+          break;
+
+        case "run_bank_sync":
+          result = await runBankSync();
+          break;
+
+        default:
+          throw new Error(`Unknown tool: ${request.params.name}`);
+      }
+    } finally {
+      releaseBudget();
     }
 
     return {
@@ -1230,11 +7245,209 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+}
+
+// HTTP transport
+
+// Active Streamable HTTP and legacy SSE sessions, keyed by session ID.
+// Each entry holds the transport and the API key name that opened it.
+const httpSessions = new Map();
+const sseSessions = new Map();
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  sendJson(res, status, {
+    jsonrpc: "2.0",
+    error: { code, message },
+    id: null,
+  });
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString("utf8");
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+// Details such as the load error are only shown to authenticated callers
+function getHealth(detailed) {
+  let budget = "not_loaded";
+  if (initializing) budget = "loading";
+  else if (loadedBudgetId) budget = "ready";
+  else if (initializationError) budget = "error";
+
+  const status = budget === "error" ? "error" : "ok";
+  if (!detailed) return { status, budget };
+
+  return {
+    status,
+    budget,
+    loadedBudgetId: loadedBudgetId || undefined,
+    error: initializationError ? initializationError.message : undefined,
+    transport: TRANSPORT,
+    sessions: {
+      streamableHttp: httpSessions.size,
+      sse: sseSessions.size,
+    },
+    uptime: Math.round(process.uptime()),
+  };
+}
+
+// Streamable HTTP: POST carries requests, GET opens the server->client stream,
+// DELETE ends the session
+async function handleStreamableHttp(req, res) {
+  const sessionId = req.headers["mcp-session-id"];
+  const clientId = req.auth?.clientId;
+
+  let body;
+  if (req.method === "POST") {
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJsonRpcError(res, 400, -32700, "Parse error: invalid JSON");
+      return;
+    }
+  }
+
+  if (sessionId && httpSessions.has(sessionId)) {
+    const session = httpSessions.get(sessionId);
+    if (session.clientId !== clientId) {
+      sendJsonRpcError(res, 403, -32001, "Session belongs to a different API key");
+      return;
+    }
+    await session.transport.handleRequest(req, res, body);
+    return;
+  }
+
+  if (!sessionId && req.method === "POST" && isInitializeRequest(body)) {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        httpSessions.set(id, { transport, clientId });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) httpSessions.delete(transport.sessionId);
+    };
+
+    await createMcpServer().connect(transport);
+    await transport.handleRequest(req, res, body);
+    return;
+  }
+
+  if (sessionId) {
+    sendJsonRpcError(res, 404, -32001, "Session not found");
+  } else {
+    sendJsonRpcError(res, 400, -32000, "Bad Request: no valid session ID provided");
+  }
+}
+
+// Legacy HTTP+SSE transport for clients that predate Streamable HTTP
+async function handleSseConnect(req, res) {
+  const transport = new SSEServerTransport("/messages", res);
+  sseSessions.set(transport.sessionId, { transport, clientId: req.auth?.clientId });
+  res.on("close", () => {
+    sseSessions.delete(transport.sessionId);
+  });
+
+  await createMcpServer().connect(transport);
+}
+
+async function handleSseMessage(req, res, url) {
+  const session = sseSessions.get(url.searchParams.get("sessionId"));
+  if (!session) {
+    sendJsonRpcError(res, 404, -32001, "Session not found");
+    return;
+  }
+  if (session.clientId !== req.auth?.clientId) {
+    sendJsonRpcError(res, 403, -32001, "Session belongs to a different API key");
+    return;
+  }
+
+  await session.transport.handlePostMessage(req, res);
+}
+
+async function handleHttpRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  try {
+    if (url.pathname === "/health" && req.method === "GET") {
+      const health = getHealth(API_KEYS.size === 0 || authenticateRequest(req) !== null);
+      sendJson(res, health.status === "ok" ? 200 : 503, health);
+      return;
+    }
+
+    // Everything except the health check requires an API key when keys are configured
+    if (API_KEYS.size > 0) {
+      req.auth = authenticateRequest(req);
+      if (!req.auth) {
+        res.setHeader("WWW-Authenticate", 'Bearer realm="actual-budget-mcp"');
+        sendJsonRpcError(res, 401, -32001, "Unauthorized: missing or invalid API key");
+        return;
+      }
+    }
+
+    if (url.pathname === "/mcp") {
+      await handleStreamableHttp(req, res);
+    } else if (url.pathname === "/sse" && req.method === "GET") {
+      await handleSseConnect(req, res);
+    } else if (url.pathname === "/messages" && req.method === "POST") {
+      await handleSseMessage(req, res, url);
+    } else {
+      sendJson(res, 404, { error: "Not found" });
+    }
+  } catch (error) {
+    console.error("HTTP request failed:", error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, -32603, "Internal server error");
+    }
+  }
+}
+
+async function startHttpServer() {
+  if (API_KEYS.size === 0 && !ALLOW_UNAUTHENTICATED) {
+    console.error("Error: MCP_API_KEYS is not set. Add API keys, or set MCP_ALLOW_UNAUTHENTICATED=true to let anyone who can reach this port use your budget");
+    process.exit(1);
+  }
+
+  const httpServer = createHttpServer(handleHttpRequest);
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(HTTP_PORT, HTTP_HOST, resolve);
+  });
+  console.error(`Actual Budget MCP listening on http://${HTTP_HOST}:${HTTP_PORT} (Streamable HTTP: /mcp, SSE: /sse, health: /health)`);
+  if (API_KEYS.size === 0) {
+    console.error("Warning: MCP_ALLOW_UNAUTHENTICATED is set - anyone who can reach this port has full access to your budget");
+  }
+
+  const shutdown = async () => {
+    httpServer.close();
+    for (const { transport } of [...httpSessions.values(), ...sseSessions.values()]) {
+      await transport.close().catch(() => {});
+    }
+    await shutdownBudget().catch(() => {});
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
 
 async function main() {
+  if (TRANSPORT === "http") {
+    await startHttpServer();
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createMcpServer().connect(transport);
 }
 
 main().catch(console.error);